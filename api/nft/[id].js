@@ -0,0 +1,77 @@
+/**
+ * Vercel Serverless API Route for NFT details
+ * GET /api/nft/<Slug>-<number> - fetches the t.me/nft page and returns its parsed attributes as JSON:
+ * { gift, number, model, modelRarity, backdrop, backdropRarity, pattern, patternRarity, issued, totalIssued, owner }
+ */
+import { NFT_ID_PATTERN, parseNftPageContent, parseNftTitle, slugToGiftName } from '../../src/nftPage.js';
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+  const idMatch = typeof id === 'string' ? id.match(NFT_ID_PATTERN) : null;
+
+  if (!idMatch) {
+    return res.status(400).json({ error: 'Invalid NFT id, expected <Slug>-<number>' });
+  }
+
+  const [, slug, numberStr] = idMatch;
+
+  try {
+    const response = await fetch(`https://t.me/nft/${slug}-${numberStr}`, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; NFT Gift Planner Bot)',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      },
+    });
+
+    if (response.status === 404) {
+      return res.status(404).json({ error: 'NFT not found' });
+    }
+
+    if (!response.ok) {
+      return res.status(502).json({
+        error: `Upstream request failed with status ${response.status}`,
+      });
+    }
+
+    const html = await response.text();
+    const details = parseNftPageContent(html);
+    const title = parseNftTitle(html);
+
+    // Telegram answers unknown gifts with a generic 200 page - nothing on it looks like an NFT
+    if (!title && !details.model && !details.totalIssued) {
+      return res.status(404).json({ error: 'NFT not found' });
+    }
+
+    return res.status(200).json({
+      gift: title?.gift || slugToGiftName(slug),
+      number: title?.number || parseInt(numberStr, 10),
+      model: details.model,
+      modelRarity: details.modelRarity,
+      backdrop: details.backdrop,
+      backdropRarity: details.backdropRarity,
+      pattern: details.pattern,
+      patternRarity: details.patternRarity,
+      issued: details.issued,
+      totalIssued: details.totalIssued,
+      owner: details.owner,
+    });
+  } catch (error) {
+    console.error('[nft] Error:', error.message);
+    return res.status(500).json({ error: error.message });
+  }
+}
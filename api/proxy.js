@@ -1,7 +1,23 @@
 /**
  * Vercel Serverless API Route for CORS Proxy
  * Fetches content from external URLs and returns it with proper CORS headers
+ * Allowed pages: t.me/nft/... (NFT pages) and t.me/<username>, t.me/s/<channel> (owned-gift import)
  */
+import { PROFILE_PATH_PATTERN } from '../src/ownedGifts.js';
+
+/**
+ * Safe URL to fetch for a requested one, or null when it isn't an allowed t.me page
+ * Only the path is taken over - query, credentials and ports never reach the upstream request.
+ */
+function getAllowedTargetUrl(parsedUrl) {
+  // Strict validation: exactly the t.me host over http(s), no credentials or custom port
+  if (parsedUrl.hostname !== 't.me' || !['https:', 'http:'].includes(parsedUrl.protocol)) return null;
+  if (parsedUrl.username || parsedUrl.password || parsedUrl.port) return null;
+
+  const { pathname } = parsedUrl;
+  if (!pathname.startsWith('/nft/') && !PROFILE_PATH_PATTERN.test(pathname)) return null;
+  return `https://t.me${pathname}`;
+}
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -34,14 +50,12 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Invalid URL format' });
     }
 
-    // Validate URL is for Telegram NFT pages only (security measure)
-    // Strict validation: must be exactly t.me domain with /nft/ path prefix
-    if (parsedUrl.hostname !== 't.me' || !parsedUrl.pathname.startsWith('/nft/')) {
-      return res.status(403).json({ error: 'Only t.me/nft URLs are allowed' });
-    }
-
+    // Validate URL is for Telegram NFT or profile pages only (security measure)
     // Reconstruct a safe URL from parsed components
-    const targetUrl = `https://t.me${parsedUrl.pathname}`;
+    const targetUrl = getAllowedTargetUrl(parsedUrl);
+    if (!targetUrl) {
+      return res.status(403).json({ error: 'Only t.me/nft and t.me profile URLs are allowed' });
+    }
 
     // Fetch the content
     const response = await fetch(targetUrl, {
@@ -0,0 +1,135 @@
+// sw.js - Service worker: persistent cache for the gift catalogs, gift images/animations and the app shell
+// Catalogs and the shell use stale-while-revalidate (instant start from cache, refreshed in the background);
+// PNG/TGS assets and hashed build files never change for a given URL, so they are served cache-first.
+// Bump CACHE_VERSION when the caching rules change - activate() drops caches from older versions.
+const CACHE_VERSION = 'v2';
+const CATALOG_CACHE = `catalog-${CACHE_VERSION}`;
+const ASSET_CACHE = `assets-${CACHE_VERSION}`;
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+// Hashed /assets/* build files
+const BUILD_CACHE = `build-${CACHE_VERSION}`;
+
+// Oldest entries are evicted past these (one grid view is a few hundred images at most;
+// a build is about ten files, so the build cache keeps the current deploy and a few before it)
+const MAX_ASSET_ENTRIES = 2000;
+const MAX_BUILD_ENTRIES = 50;
+
+const API_HOST = 'api.changes.tg';
+const CDN_HOST = 'cdn.changes.tg';
+const TELEGRAM_SDK_URL = 'https://telegram.org/js/telegram-web-app.js';
+// Same-origin files besides the build output that the app fetches at runtime
+const SHELL_FILES = ['/prices.json'];
+const BUILD_ASSET_PREFIX = '/assets/';
+
+// Catalog endpoints (exact paths) and per-gift lists (path prefixes)
+const CATALOG_PATHS = ['/gifts', '/backdrops', '/names', '/ids'];
+const CATALOG_PREFIXES = ['/models/', '/patterns/'];
+
+const ASSET_EXTENSION = /\.(png|tgs)$/i;
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [CATALOG_CACHE, ASSET_CACHE, SHELL_CACHE, BUILD_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names.filter((name) => !current.includes(name)).map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function isCatalogRequest(url) {
+  return url.hostname === API_HOST &&
+    (CATALOG_PATHS.includes(url.pathname) || CATALOG_PREFIXES.some((prefix) => url.pathname.startsWith(prefix)));
+}
+
+function isAssetRequest(url) {
+  return (url.hostname === API_HOST || url.hostname === CDN_HOST) && ASSET_EXTENSION.test(url.pathname);
+}
+
+function isBuildAssetRequest(url) {
+  return url.origin === self.location.origin && url.pathname.startsWith(BUILD_ASSET_PREFIX);
+}
+
+function isShellRequest(request, url) {
+  if (request.mode === 'navigate') return true;
+  if (url.href === TELEGRAM_SDK_URL) return true;
+  return url.origin === self.location.origin && SHELL_FILES.includes(url.pathname);
+}
+
+// Opaque responses are never stored: their size can't be read, and browsers charge several MB of quota for each
+const isCacheable = (response) => Boolean(response?.ok);
+
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  // keys() returns entries in insertion order, so the oldest go first
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+}
+
+/**
+ * Answer from cache immediately and refresh the entry from the network in the background;
+ * without a cached copy, wait for the network
+ */
+async function staleWhileRevalidate(event, cacheName, cacheKey = event.request) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(cacheKey);
+
+  const refresh = fetch(event.request)
+    .then(async (response) => {
+      if (isCacheable(response)) await cache.put(cacheKey, response.clone());
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(refresh.catch((error) => console.warn('[sw] Revalidation failed:', event.request.url, error)));
+    return cached;
+  }
+  return refresh;
+}
+
+/**
+ * Images and animations are requested by <img> and lottie without CORS, which gives opaque responses;
+ * the CDN sends CORS headers, so they are fetched in CORS mode to get a response that can be cached.
+ */
+async function fetchReadable(request) {
+  if (request.mode !== 'no-cors') return fetch(request);
+  try {
+    return await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+  } catch {
+    return fetch(request);
+  }
+}
+
+async function cacheFirst(event, cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+  if (cached) return cached;
+
+  const response = await fetchReadable(event.request);
+  if (isCacheable(response)) {
+    event.waitUntil(cache.put(event.request, response.clone()).then(() => trimCache(cache, maxEntries)));
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (isCatalogRequest(url)) {
+    event.respondWith(staleWhileRevalidate(event, CATALOG_CACHE));
+  } else if (isAssetRequest(url)) {
+    event.respondWith(cacheFirst(event, ASSET_CACHE, MAX_ASSET_ENTRIES));
+  } else if (isBuildAssetRequest(url)) {
+    // Old deploys' files are evicted by the cap - a page started from a stale index.html still finds its own
+    event.respondWith(cacheFirst(event, BUILD_CACHE, MAX_BUILD_ENTRIES));
+  } else if (isShellRequest(request, url)) {
+    // Every navigation is the same SPA document, so cache it under one key
+    const cacheKey = request.mode === 'navigate' ? '/' : request;
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, cacheKey));
+  }
+});
@@ -1,6 +1,6 @@
 // App.js - Main component for NFT Gift Planner
 // Optimized for Telegram Mini App - instant loading and smooth performance
-import React, { useState, useEffect, useRef, lazy, Suspense, useCallback } from 'react';
+import React, { useState, useEffect, useRef, lazy, Suspense, useCallback, useMemo } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import {
   DndContext,
@@ -15,8 +15,68 @@ import {
   SortableContext,
   sortableKeyboardCoordinates,
   rectSortingStrategy,
+  verticalListSortingStrategy,
+  horizontalListSortingStrategy,
   useSortable,
 } from '@dnd-kit/sortable';
+import { useUndoHistory } from './useUndoHistory';
+import { watchTheme } from './telegramTheme';
+import { getAnimationKey, loadAnimationData } from './animationStore';
+import { PLAYBACK_STYLES, useAnimationPlayback } from './useAnimationPlayback';
+import { mapWithConcurrency } from './concurrency';
+import { normalizeGiftName, aggressiveNormalize } from './giftNames';
+import {
+  API_BASE,
+  CDN_BASE,
+  DEFAULT_GIFT_IMAGE_SIZE,
+  getGiftIdForAnimation,
+  getAnimationUrl,
+  getPatternImageUrl,
+  getGiftImageUrl,
+} from './giftAssets';
+import { formatNumber } from './numberFormat';
+import { defaultPriceSource, getCellPrice, getGridValue, formatPrice, DEFAULT_CURRENCY } from './valuation';
+import { OWNERSHIP_STATES, getCellOwnership, parseTargetPrice, getAcquisitionList } from './ownership';
+import { normalizeProfileUrl, parseOwnedGiftsJson, parseProfilePage, needsDetails } from './ownedGifts';
+import { LANGUAGES, useI18n } from './i18n';
+import { ARRANGE_STRATEGIES, arrangeGrid, getTopBackdropNames } from './gridArrange';
+import {
+  encodeLayoutToken,
+  decodeLayoutToken,
+  buildShareLink,
+  readIncomingLayoutToken,
+  clearIncomingLayoutHash,
+} from './layoutShare';
+import { parseLink } from './nftPage';
+import { renderElementToPng, downloadBlob, canShareFiles, shareBlob } from './exportImage';
+import {
+  ANIMATED_EXPORT_FRAME_RATES,
+  ANIMATED_EXPORT_SIZES,
+  getAnimatedExportExtension,
+  getAnimatedExportFormats,
+  renderGridAnimation,
+} from './exportAnimation';
+import {
+  createLayout,
+  loadLocalLayouts,
+  loadCloudLayouts,
+  saveLocalLayouts,
+  saveCloudLayouts,
+  DEFAULT_LAYOUT_NAME,
+} from './gridStorage';
+import {
+  MIN_COLUMNS,
+  MAX_COLUMNS,
+  DEFAULT_ROWS,
+  createEmptyRow,
+  createEmptyGrid,
+  getColumnCount,
+  reflowGrid,
+  trimTrailingEmptyRows,
+  moveCell,
+  moveRow,
+  moveColumn,
+} from './gridModel';
 import './App.css';
 
 // Lazy load heavy libraries - they're not needed for initial render
@@ -26,11 +86,10 @@ const Modal = lazy(() => import('react-modal').then(module => {
   return { default: module.default };
 }));
 
-// Lazy load lottie and pako - only needed for animations
+// Lazy load lottie - only needed for animations (TGS decoding lives in animationStore.js)
 // Use lottie_canvas variant for smaller bundle (canvas-only, no SVG renderer)
 // This reduces the bundle from ~533KB to ~267KB (70KB gzipped)
 let lottieModule = null;
-let pakoModule = null;
 
 const loadLottie = async () => {
   if (!lottieModule) {
@@ -40,130 +99,372 @@ const loadLottie = async () => {
   return lottieModule;
 };
 
-const loadPako = async () => {
-  if (!pakoModule) {
-    pakoModule = (await import('pako')).default;
-  }
-  return pakoModule;
-};
-
-const API_BASE = 'https://api.changes.tg';
-const CDN_BASE = 'https://cdn.changes.tg';
-const DEFAULT_GIFT_IMAGE_SIZE = 128;
-const DEFAULT_PATTERN_IMAGE_SIZE = 128;
+const PICKER_THUMB_SIZE = 64;
 const IMAGE_LOAD_DELAY_MS = 800;
+// CloudStorage writes are network round-trips - batch rapid edits
+const CLOUD_SAVE_DELAY_MS = 1500;
+// start_param survives WebView reloads - remember which shared layout was already handled
+const SHARED_LAYOUT_SEEN_KEY = 'shared_layout_seen';
+const SHOW_RARITY_KEY = 'nft_planner_show_rarity';
+const SHOW_SERIAL_KEY = 'nft_planner_show_serial';
+const SHOW_PRICES_KEY = 'nft_planner_show_prices';
+// Spending limit for the "to buy" list, kept as typed
+const BUDGET_KEY = 'nft_planner_budget';
+// Where floor prices come from - any { id, load() } source from valuation.js
+const PRICE_SOURCE = defaultPriceSource;
+const DRAG_MODE_KEY = 'nft_planner_drag_mode';
+const PLAYBACK_STYLE_KEY = 'nft_planner_playback_style';
+// swap - the dropped cell trades places with the target; insert - it lands there and the rest shift
+const DRAG_MODES = ['swap', 'insert'];
+// Hold a cell this long (without dragging) to start selecting cells
+const LONG_PRESS_MS = 500;
+// Parallel /api/nft requests during bulk import - each one fetches a t.me page, and a low limit keeps Telegram from rate limiting the route
+const BULK_IMPORT_CONCURRENCY = 3;
+
+// Profile / channel page HTML through our proxy (t.me pages can't be fetched cross-origin)
+async function fetchProfilePage(url) {
+  const response = await fetch(`/api/proxy?url=${encodeURIComponent(url)}`, { cache: 'no-store' });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.text();
+}
 
-// Animation cache for prefetched TGS data
-const animationCache = new Map();
-
-// Prefetch animation data for instant playback
+// Prefetch animation data for instant playback (kept in memory and IndexedDB by animationStore)
 async function prefetchAnimation(gift, model) {
-  const cacheKey = `${gift}/${model}`;
-  if (animationCache.has(cacheKey)) {
-    return animationCache.get(cacheKey);
-  }
-  
+  const cacheKey = getAnimationKey(gift, model);
   try {
-    const pako = await loadPako();
-    const tgsUrl = `${API_BASE}/model/${normalizeGiftName(gift)}/${model}.tgs`;
-    const response = await fetch(tgsUrl);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const arrayBuffer = await response.arrayBuffer();
-    const decompressed = pako.inflate(new Uint8Array(arrayBuffer), { to: 'string' });
-    const animationData = JSON.parse(decompressed);
-    
-    animationCache.set(cacheKey, animationData);
-    return animationData;
+    return await loadAnimationData(cacheKey, getAnimationUrl(gift, model));
   } catch (error) {
     console.warn(`Failed to prefetch animation for ${cacheKey}:`, error);
     return null;
   }
 }
 
-function normalizeGiftName(name) {
-  return name.toLowerCase().replace(/ /g, '-');
+/**
+ * Fuzzy match score of a search query against a name, on top of aggressiveNormalize
+ * so "santa-hat", "Santa Hat" and "santahat" are the same.
+ * @returns {number} 3 - prefix, 2 - substring, 1 - letters in order (e.g. "plpe" → "Plush Pepe"), 0 - no match
+ */
+function fuzzyMatchScore(query, text) {
+  const q = aggressiveNormalize(query);
+  const t = aggressiveNormalize(text);
+  if (!q) {
+    // Query without latin letters or digits - plain case-insensitive search
+    return text.toLowerCase().includes(query.trim().toLowerCase()) ? 2 : 0;
+  }
+  if (t.startsWith(q)) return 3;
+  if (t.includes(q)) return 2;
+  let position = 0;
+  for (const char of t) {
+    if (char === q[position]) position++;
+    if (position === q.length) return 1;
+  }
+  return 0;
 }
 
 /**
- * Aggressively normalize a string for key matching (removes all non-alphanumeric)
+ * Find a backdrop from the /backdrops list by the name parsed from an NFT page
+ * (exact match first, then partial match either way)
  */
-function aggressiveNormalize(str) {
-  return str.toLowerCase().replace(/[^a-z0-9]/g, '');
+function findBackdropByName(backdrops, name) {
+  const wanted = name.toLowerCase();
+  return backdrops.find(b => b.name.toLowerCase() === wanted) ||
+    backdrops.find(b =>
+      b.name.toLowerCase().includes(wanted) ||
+      wanted.includes(b.name.toLowerCase())
+    ) ||
+    null;
+}
+
+// API lists carry rarity in per mille (rarityPermille 5 = 5‰ = 0.5%) - convert to a percentage like the NFT page shows
+function rarityPermilleToPercent(item) {
+  return typeof item?.rarityPermille === 'number' ? item.rarityPermille / 10 : null;
+}
+
+// Selection keys are "row-col" positions - after rows or columns are inserted or removed they point at other cells,
+// so the selection is dropped whenever the grid changes shape
+function isSameGridShape(a, b) {
+  return a.length === b.length && getColumnCount(a) === getColumnCount(b);
+}
+
+// Unnamed layouts (DEFAULT_LAYOUT_NAME) show the default name in the current UI language
+function getLayoutName(layout, t) {
+  return layout.name || t('layouts.defaultName');
 }
 
 /**
- * Get the image URL for a gift - uses model endpoint if model is selected, 
- * otherwise falls back to /original endpoint using giftId.
- * @param {string} gift - Gift name (e.g., "Santa Hat")
- * @param {string|null} model - Model name if upgraded, null/empty if not
- * @param {Object} giftIds - Map of gift names (normalized variants) to gift IDs
- * @param {number} size - Image size (default 128)
- * @returns {string|null} Image URL or null if gift ID not found
+ * Combined rarity of a cell: the product of model, backdrop and pattern probabilities
+ * @returns {number|null} Probability (0..1) or null unless all three rarities are known
  */
-function getGiftImageUrl(gift, model, giftIds, size = DEFAULT_GIFT_IMAGE_SIZE) {
-  if (!gift) return null;
-  
-  console.log('[getGiftImageUrl] called', { gift, model });
-
-  // If model is selected, use the model endpoint
-  if (model && model.trim() !== '') {
-    const normGift = normalizeGiftName(gift);
-    const url = `${API_BASE}/model/${normGift}/${model}.png?size=${size}`;
-    console.log('[getGiftImageUrl] → model URL:', url);
-    return url;
-  }
-
-  // Fallback to CDN /original endpoint using gift ID
-  // Try multiple key variants to find giftId in the name→id mapping
-  const variants = [
-    gift,                                    // Original: "Santa Hat"
-    gift.toLowerCase(),                      // Lowercase: "santa hat"
-    normalizeGiftName(gift),                 // Dashed: "santa-hat"
-    aggressiveNormalize(gift),               // Aggressive: "santahat"
-    gift.replace(/ /g, ''),                  // No spaces: "SantaHat"
-    gift.toLowerCase().replace(/ /g, '_'),   // Underscored: "santa_hat"
+function getCellRarityScore(cell) {
+  if (!cell) return null;
+  const percents = [
+    cell.modelRarity,
+    cell.backdropRarity ?? rarityPermilleToPercent(cell.backdrop),
+    cell.patternRarity,
   ];
+  if (percents.some((percent) => typeof percent !== 'number' || percent <= 0)) return null;
+  return percents.reduce((product, percent) => product * (percent / 100), 1);
+}
 
-  let giftId = null;
-  for (const variant of variants) {
-    if (giftIds[variant]) {
-      giftId = giftIds[variant];
-      console.log('[getGiftImageUrl] → found gift ID via variant:', variant, '→', giftId);
-      break;
-    }
-  }
-
-  if (giftId) {
-    const url = `${CDN_BASE}/gifts/originals/${giftId}/Original.png?size=${size}`;
-    console.log('[getGiftImageUrl] → original URL:', url);
-    return url;
-  }
+// Sortable ids: "cell-<flatIndex>", "row-<rowIndex>" (row handle), "col-<colIndex>" (column handle)
+function getDragKind(id) {
+  if (typeof id !== 'string') return null;
+  return id.slice(0, id.indexOf('-'));
+}
 
-  console.warn('[getGiftImageUrl] No gift ID found for:', gift, '| Tried variants:', variants);
-  return null;
+function getDragIndex(id) {
+  return parseInt(id.slice(id.indexOf('-') + 1), 10);
 }
 
-// Helper function to format numbers (1000 -> 1K, 1000000 -> 1M)
-function formatNumber(num) {
-  if (num >= 1000000) {
-    return (num / 1000000).toFixed(1).replace(/\.0$/, '') + 'M';
+/**
+ * Open a t.me link inside Telegram when running as a Mini App, in a new tab otherwise
+ */
+function openTelegramLink(url) {
+  const webApp = window.Telegram?.WebApp;
+  if (webApp?.openTelegramLink) {
+    webApp.openTelegramLink(url);
+  } else {
+    window.open(url, '_blank', 'noreferrer');
   }
-  if (num >= 1000) {
-    return (num / 1000).toFixed(1).replace(/\.0$/, '') + 'K';
+}
+
+/**
+ * Ask the user to confirm a destructive action.
+ * Uses the native Telegram popup when available, window.confirm otherwise.
+ * @returns {Promise<boolean>}
+ */
+function confirmAction(message) {
+  const webApp = window.Telegram?.WebApp;
+  if (webApp?.showConfirm && webApp.isVersionAtLeast?.('6.2')) {
+    return new Promise((resolve) => webApp.showConfirm(message, resolve));
   }
-  return num.toString();
+  return Promise.resolve(window.confirm(message));
 }
 
+/**
+ * Background of a cell: backdrop gradient or the theme's default one
+ * (also for backdrops not resolved yet, e.g. { name } stubs from a share link)
+ */
+function getCellBackground(cell) {
+  return cell?.backdrop?.hex
+    ? `linear-gradient(to bottom, ${cell.backdrop.hex.edgeColor}, ${cell.backdrop.hex.centerColor})`
+    : 'var(--default-cell-gradient)';
+}
+
+// CellContent - everything drawn inside a cell tile: pattern rings, image or animation,
+// text overlay, uniqueness ribbon, rarity and price badges. Shared by the grid and the edit preview.
+const CellContent = React.memo(({ cell, cellId, isPlaying, animationMode, giftIds, imageLoadReady, showRarity, showSerial, prices, playerKey, playerRegistry }) => {
+  const { t, language } = useI18n();
+  // Get image URL - model if selected, otherwise original fallback
+  const imageUrl = cell?.gift ? getGiftImageUrl(cell.gift, cell.model, giftIds) : null;
+  
+  // Get giftId for non-upgraded gift animation
+  const giftId = cell?.gift ? getGiftIdForAnimation(cell.gift, giftIds) : null;
+  
+  const rarityScore = showRarity ? getCellRarityScore(cell) : null;
+  const price = prices ? getCellPrice(cell, prices) : null;
+
+  // Ribbon gradient from backdrop colors or default blue
+  const ribbonGradient = cell?.backdrop?.hex
+    ? `linear-gradient(135deg, ${cell.backdrop.hex.edgeColor}, ${cell.backdrop.hex.centerColor})`
+    : 'var(--ribbon-gradient)';
+
+  return cell ? (
+    <>
+      <div style={{ position: 'relative', width: '100%', height: '100%', overflow: 'hidden' }}>
+        {cell?.pattern && cell?.gift && (
+          <PatternRings gift={cell.gift} pattern={cell.pattern} cellId={cellId} />
+        )}
+        {cell?.gift && (
+          <>
+            {isPlaying && animationMode && (cell.model || giftId) ? (
+              <TgsAnimation 
+                gift={cell.gift} 
+                model={cell.model}
+                giftId={giftId}
+                playerKey={playerKey}
+                playerRegistry={playerRegistry}
+              />
+            ) : imageUrl ? (
+              imageLoadReady ? (
+                <img
+                  src={imageUrl}
+                  alt="gift"
+                  data-export-layer="gift"
+                  loading="eager"
+                  decoding="async"
+                  onError={(e) => {
+                    console.error('[SortableCell] Image load error:', imageUrl);
+                    e.target.style.display = 'none';
+                  }}
+                  style={{
+                    position: 'absolute',
+                    inset: '10%',
+                    width: '80%',
+                    height: '80%',
+                    objectFit: 'contain',
+                    zIndex: 2,
+                  }}
+                />
+              ) : (
+                <div
+                  style={{
+                    position: 'absolute',
+                    inset: 0,
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    color: 'var(--cell-label-color)',
+                    fontSize: '12px',
+                    textAlign: 'center',
+                    zIndex: 2,
+                    textShadow: '0 1px 2px rgba(0, 0, 0, 0.5)',
+                  }}
+                >
+                  {t('common.loading')}
+                </div>
+              )
+            ) : (
+              <div
+                style={{
+                  position: 'absolute',
+                  inset: 0,
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  color: 'var(--cell-label-color)',
+                  fontSize: '12px',
+                  textAlign: 'center',
+                  zIndex: 2,
+                  textShadow: '0 1px 2px rgba(0, 0, 0, 0.5)',
+                }}
+              >
+                {cell.gift}
+              </div>
+            )}
+          </>
+        )}
+        {cell?.text && (
+          <div
+            data-export-layer="overlay"
+            style={{
+              position: 'absolute',
+              bottom: 6,
+              left: 8,
+              right: 8,
+              textAlign: 'center',
+              color: 'white',
+              fontWeight: 700,
+              fontSize: '12px',
+              textShadow: '0 2px 6px rgba(0,0,0,0.6)',
+              zIndex: 3,
+              wordBreak: 'break-word',
+            }}
+          >
+            {cell.text}
+          </div>
+        )}
+      </div>
+      {/* Uniqueness Ribbon - moved outside overflow:hidden container */}
+      {cell?.gift && cell.totalIssued && (
+        <div 
+          className="uniqueness-ribbon"
+          data-export-layer="overlay"
+          style={{ background: ribbonGradient }}
+        >
+          {t('cell.serialOf', {
+            serial: showSerial && cell.giftNumber ? `#${cell.giftNumber}` : '1',
+            total: formatNumber(cell.totalIssued),
+          })}
+        </div>
+      )}
+      {/* Combined rarity badge: model × backdrop × pattern */}
+      {rarityScore && (
+        <div
+          className="rarity-badge"
+          data-export-layer="overlay"
+          title={t('cell.rarityTitle', {
+            model: cell.modelRarity,
+            backdrop: cell.backdropRarity ?? rarityPermilleToPercent(cell.backdrop),
+            pattern: cell.patternRarity,
+          })}
+        >
+          1:{formatNumber(Math.round(1 / rarityScore))}
+        </div>
+      )}
+      {/* Estimated floor price, below the rarity badge when both are shown */}
+      {price !== null && (
+        <div
+          className={rarityScore ? 'price-badge price-badge-stacked' : 'price-badge'}
+          data-export-layer="overlay"
+          title={t('cell.priceTitle', { price: formatPrice(price, prices.currency, language) })}
+        >
+          {formatPrice(price, null, language)}
+        </div>
+      )}
+    </>
+  ) : (
+    <span className="empty-cell">{t('cell.empty')}</span>
+  );
+});
+
 // SortableCell component using @dnd-kit
 // Memoized to prevent unnecessary re-renders when other cells change
-const SortableCell = React.memo(({ id, cell, rowIndex, colIndex, isPlaying, animationMode, onCellClick, isOver, giftIds, imageLoadReady }) => {
+const SortableCell = React.memo(({ id, cell, rowIndex, colIndex, isPlaying, animationMode, onCellClick, onCellLongPress, isOver, giftIds, imageLoadReady, readOnly, selectionMode, isSelected, dropDisabled, showRarity, showSerial, prices, playerRegistry }) => {
   const {
     attributes,
     listeners,
     setNodeRef,
     isDragging,
-  } = useSortable({ id });
+  } = useSortable({
+    id,
+    disabled: {
+      draggable: readOnly || selectionMode,
+      // Row / column handles are dropped on other handles only
+      droppable: readOnly || selectionMode || dropDisabled,
+    },
+  });
+
+  // Long press starts multi-select; moving the pointer (a drag) cancels it
+  const longPressRef = useRef({ timer: null, x: 0, y: 0, fired: false });
+
+  const cancelLongPress = () => {
+    clearTimeout(longPressRef.current.timer);
+    longPressRef.current.timer = null;
+  };
+
+  const handlePointerDown = (event) => {
+    listeners?.onPointerDown?.(event);
+    if (!onCellLongPress) return;
+    cancelLongPress();
+    longPressRef.current = {
+      timer: setTimeout(() => {
+        longPressRef.current.timer = null;
+        longPressRef.current.fired = true;
+        onCellLongPress(rowIndex, colIndex);
+      }, LONG_PRESS_MS),
+      x: event.clientX,
+      y: event.clientY,
+      fired: false,
+    };
+  };
+
+  const handlePointerMove = (event) => {
+    const press = longPressRef.current;
+    // Same 8px tolerance as the PointerSensor activation distance
+    if (press.timer && Math.hypot(event.clientX - press.x, event.clientY - press.y) > 8) {
+      cancelLongPress();
+    }
+  };
+
+  const handleClick = () => {
+    // The click that ends a long press must not also toggle / open the cell
+    if (longPressRef.current.fired) {
+      longPressRef.current.fired = false;
+      return;
+    }
+    onCellClick(rowIndex, colIndex);
+  };
 
   // DO NOT apply transform - keep cell in original position during drag
   // The ghost (DragOverlay) follows the cursor instead
@@ -173,152 +474,72 @@ const SortableCell = React.memo(({ id, cell, rowIndex, colIndex, isPlaying, anim
     'cell',
     isDragging ? 'cell-dragging' : '',
     isOver && !isDragging ? 'cell-drop-target' : '',
+    isSelected ? 'cell-selected' : '',
+    getCellOwnership(cell) === 'wanted' ? 'cell-wanted' : '',
   ].filter(Boolean).join(' ');
 
-  // Get image URL - model if selected, otherwise original fallback
-  const imageUrl = cell?.gift ? getGiftImageUrl(cell.gift, cell.model, giftIds) : null;
-  
-  // Get giftId for non-upgraded gift animation (try multiple key variants)
-  const getGiftIdForAnimation = (giftName) => {
-    if (!giftName) return null;
-    const variants = [
-      giftName,
-      giftName.toLowerCase(),
-      normalizeGiftName(giftName),
-      aggressiveNormalize(giftName),
-    ];
-    for (const variant of variants) {
-      if (giftIds[variant]) return giftIds[variant];
-    }
-    return null;
-  };
-  
-  const giftId = cell?.gift ? getGiftIdForAnimation(cell.gift) : null;
-  
-  // Determine cell background gradient
-  const cellBackground = cell?.backdrop 
-    ? `linear-gradient(to bottom, ${cell.backdrop.hex?.edgeColor || '#1a3a5a'}, ${cell.backdrop.hex?.centerColor || '#2a5a8a'})`
-    : 'var(--default-cell-gradient)';
-  
-  // Ribbon gradient from backdrop colors or default blue
-  const ribbonGradient = cell?.backdrop
-    ? `linear-gradient(135deg, ${cell.backdrop.hex?.edgeColor || '#007BFF'}, ${cell.backdrop.hex?.centerColor || '#00C6FF'})`
-    : 'var(--ribbon-gradient)';
-
   return (
     <div
       ref={setNodeRef}
       className={cellClasses}
-      onClick={() => onCellClick(rowIndex, colIndex)}
-      style={{ background: cellBackground }}
+      style={{ background: getCellBackground(cell) }}
       {...attributes}
       {...listeners}
+      onClick={handleClick}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={cancelLongPress}
+      onPointerCancel={cancelLongPress}
+      onContextMenu={onCellLongPress ? (e) => e.preventDefault() : undefined}
     >
-      {cell ? (
-        <>
-          <div style={{ position: 'relative', width: '100%', height: '100%', overflow: 'hidden' }}>
-            {cell?.pattern && cell?.gift && (
-              <PatternRings gift={cell.gift} pattern={cell.pattern} cellId={id} />
-            )}
-            {cell?.gift && (
-              <>
-                {isPlaying && animationMode && (cell.model || giftId) ? (
-                  <TgsAnimation 
-                    gift={cell.gift} 
-                    model={cell.model}
-                    giftId={giftId}
-                  />
-                ) : imageUrl ? (
-                  imageLoadReady ? (
-                    <img
-                      src={imageUrl}
-                      alt="gift"
-                      loading="eager"
-                      decoding="async"
-                      onError={(e) => {
-                        console.error('[SortableCell] Image load error:', imageUrl);
-                        e.target.style.display = 'none';
-                      }}
-                      style={{
-                        position: 'absolute',
-                        inset: '10%',
-                        width: '80%',
-                        height: '80%',
-                        objectFit: 'contain',
-                        zIndex: 2,
-                      }}
-                    />
-                  ) : (
-                    <div
-                      style={{
-                        position: 'absolute',
-                        inset: 0,
-                        display: 'flex',
-                        alignItems: 'center',
-                        justifyContent: 'center',
-                        color: 'rgba(255, 255, 255, 0.7)',
-                        fontSize: '12px',
-                        textAlign: 'center',
-                        zIndex: 2,
-                        textShadow: '0 1px 2px rgba(0, 0, 0, 0.5)',
-                      }}
-                    >
-                      Загрузка...
-                    </div>
-                  )
-                ) : (
-                  <div
-                    style={{
-                      position: 'absolute',
-                      inset: 0,
-                      display: 'flex',
-                      alignItems: 'center',
-                      justifyContent: 'center',
-                      color: 'rgba(255, 255, 255, 0.7)',
-                      fontSize: '12px',
-                      textAlign: 'center',
-                      zIndex: 2,
-                      textShadow: '0 1px 2px rgba(0, 0, 0, 0.5)',
-                    }}
-                  >
-                    {cell.gift}
-                  </div>
-                )}
-              </>
-            )}
-            {cell?.text && (
-              <div
-                style={{
-                  position: 'absolute',
-                  bottom: 6,
-                  left: 8,
-                  right: 8,
-                  textAlign: 'center',
-                  color: 'white',
-                  fontWeight: 700,
-                  fontSize: '12px',
-                  textShadow: '0 2px 6px rgba(0,0,0,0.6)',
-                  zIndex: 3,
-                  wordBreak: 'break-word',
-                }}
-              >
-                {cell.text}
-              </div>
-            )}
-          </div>
-          {/* Uniqueness Ribbon - moved outside overflow:hidden container */}
-          {cell?.gift && cell.totalIssued && (
-            <div 
-              className="uniqueness-ribbon"
-              style={{ background: ribbonGradient }}
-            >
-              1 из {formatNumber(cell.totalIssued)}
-            </div>
-          )}
-        </>
-      ) : (
-        <span className="empty-cell">Пусто</span>
+      {selectionMode && (
+        <span className={isSelected ? 'cell-select-mark cell-select-mark-checked' : 'cell-select-mark'}>
+          {isSelected ? '✓' : ''}
+        </span>
       )}
+      <CellContent
+        cell={cell}
+        cellId={id}
+        isPlaying={isPlaying}
+        animationMode={animationMode}
+        giftIds={giftIds}
+        imageLoadReady={imageLoadReady}
+        showRarity={showRarity}
+        showSerial={showSerial}
+        prices={prices}
+        playerKey={`${rowIndex}-${colIndex}`}
+        playerRegistry={playerRegistry}
+      />
+    </div>
+  );
+});
+
+// LineHandle - drag handle that moves a whole row or column
+const LineHandle = React.memo(({ id, axis, index, isOver, dropDisabled }) => {
+  const { t } = useI18n();
+  const {
+    attributes,
+    listeners,
+    setNodeRef,
+    isDragging,
+  } = useSortable({ id, disabled: { draggable: false, droppable: dropDisabled } });
+
+  const classes = [
+    'line-handle',
+    `line-handle-${axis}`,
+    isDragging ? 'line-handle-dragging' : '',
+    isOver && !isDragging ? 'line-handle-drop-target' : '',
+  ].filter(Boolean).join(' ');
+
+  return (
+    <div
+      ref={setNodeRef}
+      className={classes}
+      aria-label={t(axis === 'row' ? 'cell.moveRow' : 'cell.moveColumn', { index: index + 1 })}
+      {...attributes}
+      {...listeners}
+    >
+      {axis === 'row' ? '⋮⋮' : '⋯'}
     </div>
   );
 });
@@ -342,22 +563,65 @@ const fetchApiEndpoint = async (endpoint) => {
 };
 
 function App() {
-  const [rows, setRows] = useState(3); // Start with 3 rows
-  const [grid, setGrid] = useState(Array.from({ length: 3 }, () => Array(3).fill(null))); // null for empty cells
+  const { t, language, setLanguage } = useI18n();
+  // Layouts saved by a previous session (localStorage is synchronous, so they're ready for the first render)
+  const [restoredLayouts] = useState(() => {
+    const stored = loadLocalLayouts();
+    if (stored) return stored;
+    const layout = createLayout(DEFAULT_LAYOUT_NAME);
+    return { layouts: [layout], activeLayoutId: layout.id, savedAt: 0 };
+  });
+  const restoredActiveLayout = restoredLayouts.layouts.find((layout) => layout.id === restoredLayouts.activeLayoutId);
+  // `layouts` keeps every named layout; the active one is edited through grid/rows/animationMode
+  // and written back into the list by `currentLayouts` below
+  const [layouts, setLayouts] = useState(restoredLayouts.layouts);
+  const [activeLayoutId, setActiveLayoutId] = useState(restoredLayouts.activeLayoutId);
+  const [layoutManagerOpen, setLayoutManagerOpen] = useState(false);
+  const [rows, setRows] = useState(restoredActiveLayout.rows);
+  const [grid, setGrid] = useState(restoredActiveLayout.grid); // null for empty cells
   const [gifts, setGifts] = useState([]);
   const [backdrops, setBackdrops] = useState([]);
   const [giftIds, setGiftIds] = useState({}); // Map of gift name -> gift ID for /original endpoint
   const [modalIsOpen, setModalIsOpen] = useState(false);
+  const [ownedImportOpen, setOwnedImportOpen] = useState(false);
+  const [bulkImportOpen, setBulkImportOpen] = useState(false);
   const [currentCell, setCurrentCell] = useState({ row: -1, col: -1 });
   const [copiedCell, setCopiedCell] = useState(null);
   const [modelsCache, setModelsCache] = useState({});
   const [patternsCache, setPatternsCache] = useState({});
-  const [animationMode, setAnimationMode] = useState(false);
-  const [playingAnimations, setPlayingAnimations] = useState({});
+  const [animationMode, setAnimationMode] = useState(restoredActiveLayout.animationMode);
+  const gridHistory = useUndoHistory();
+  // Layout opened from a share link - shown read-only instead of the working grid
+  const [sharedLayout, setSharedLayout] = useState(null);
+  const [shareLinkState, setShareLinkState] = useState({ isOpen: false, url: '', isTelegramLink: false });
+  const playback = useAnimationPlayback();
+  const [playbackStyle, setPlaybackStyle] = useState(() => {
+    const stored = localStorage.getItem(PLAYBACK_STYLE_KEY);
+    return PLAYBACK_STYLES.includes(stored) ? stored : PLAYBACK_STYLES[0];
+  });
   const [activeId, setActiveId] = useState(null);
   const [overId, setOverId] = useState(null);
   const telegramRef = useRef(null);
+  // Cloud writes start only after the cloud copy was read, so a stale local grid can't overwrite it
+  const cloudSyncReadyRef = useRef(false);
+  // Layouts the save effect last saw - the restored ones on the first run, which are already stored
+  const lastSavedLayoutsRef = useRef(null);
+  // savedAt of the newest local copy - edits made while CloudStorage is still loading make it newer than the start value
+  const localSavedAtRef = useRef(restoredLayouts.savedAt);
   const [imageLoadReady, setImageLoadReady] = useState(false);
+  // Optional combined-rarity badge on cells (display preference, not part of the layout)
+  const [showRarity, setShowRarity] = useState(() => localStorage.getItem(SHOW_RARITY_KEY) === '1');
+  const [showSerial, setShowSerial] = useState(() => localStorage.getItem(SHOW_SERIAL_KEY) === '1');
+  const [showPrices, setShowPrices] = useState(() => localStorage.getItem(SHOW_PRICES_KEY) === '1');
+  const [acquisitionOpen, setAcquisitionOpen] = useState(false);
+  const [budget, setBudget] = useState(() => localStorage.getItem(BUDGET_KEY) || '');
+  const [exportState, setExportState] = useState({ isOpen: false, isRendering: false, blob: null, url: null, error: '' });
+  // Multi-select: keys are "row-col" like playback.playingCells; tapping toggles while selectionMode is on
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedCells, setSelectedCells] = useState({});
+  const [bulkEditOpen, setBulkEditOpen] = useState(false);
+  const [arrangeOpen, setArrangeOpen] = useState(false);
+  const [dragMode, setDragMode] = useState(() => (localStorage.getItem(DRAG_MODE_KEY) === 'insert' ? 'insert' : 'swap'));
 
   // TanStack Query hooks for API data with automatic caching
   // Data is cached for 5 minutes and reused instantly on subsequent loads
@@ -392,11 +656,66 @@ function App() {
     staleTime: 5 * 60 * 1000,
   });
 
+  // Floor price table - only fetched once prices are shown or the "to buy" list needs floor prices
+  const { data: priceTable = null, isLoading: isLoadingPrices, isError: isPriceError } = useQuery({
+    queryKey: ['prices', PRICE_SOURCE.id],
+    queryFn: PRICE_SOURCE.load,
+    enabled: showPrices || acquisitionOpen,
+    staleTime: 60 * 60 * 1000,
+  });
+  const prices = showPrices ? priceTable : null;
+
   // Compute loading state based on query statuses only
   const loading = isLoadingGifts || isLoadingBackdrops || isLoadingNames;
 
-  // Generate unique IDs for cells
-  const cellIds = grid.flat().map((_, index) => `cell-${index}`);
+  const columns = getColumnCount(grid);
+  const isViewingShared = sharedLayout !== null;
+  const displayGrid = sharedLayout?.grid ?? grid;
+  const displayColumns = getColumnCount(displayGrid);
+  const displayAnimationMode = sharedLayout?.animationMode ?? animationMode;
+
+  // Scheduled cells are addressed by position - any grid change ends the current playback
+  const stopPlayback = playback.stop;
+  useEffect(() => stopPlayback, [displayGrid, displayAnimationMode, stopPlayback]);
+
+  // Cells that have a TGS animation (a model, or a gift id for the original), in reading order
+  const animationEntries = useMemo(() => {
+    const entries = [];
+    displayGrid.forEach((row, rowIndex) => {
+      row.forEach((cell, colIndex) => {
+        if (!cell?.gift) return;
+        const giftId = getGiftIdForAnimation(cell.gift, giftIds);
+        const cacheKey = getAnimationKey(cell.gift, cell.model, giftId);
+        if (!cacheKey) return;
+        entries.push({
+          key: `${rowIndex}-${colIndex}`,
+          index: rowIndex * row.length + colIndex,
+          row: rowIndex,
+          cacheKey,
+          url: getAnimationUrl(cell.gift, cell.model, giftId),
+        });
+      });
+    });
+    return entries;
+  }, [displayGrid, giftIds]);
+
+  const gridValue = useMemo(() => (prices ? getGridValue(displayGrid, prices) : null), [displayGrid, prices]);
+
+  // Generate unique IDs for cells and row / column handles
+  const cellIds = displayGrid.flat().map((_, index) => `cell-${index}`);
+  const rowIds = displayGrid.map((_, index) => `row-${index}`);
+  const columnIds = Array.from({ length: displayColumns }, (_, index) => `col-${index}`);
+  const activeKind = getDragKind(activeId);
+  const overKind = getDragKind(overId);
+  const showLineHandles = !isViewingShared && !selectionMode;
+
+  // While a row / column handle is dragged, the cells of the target line are highlighted
+  const isInDropLine = (rowIndex, colIndex) => {
+    if (!overId || overId === activeId || activeKind !== overKind) return false;
+    if (overKind === 'row') return getDragIndex(overId) === rowIndex;
+    if (overKind === 'col') return getDragIndex(overId) === colIndex;
+    return false;
+  };
 
   const sensors = useSensors(
     useSensor(PointerSensor, {
@@ -416,9 +735,139 @@ function App() {
     return () => clearTimeout(timer);
   }, [loading, imageLoadReady]);
 
+  // All layouts with the working copy of the active one folded in
+  const currentLayouts = useMemo(() => layouts.map((layout) => (
+    layout.id === activeLayoutId ? { ...layout, rows, animationMode, grid } : layout
+  )), [layouts, activeLayoutId, rows, animationMode, grid]);
+
+  const activeLayout = currentLayouts.find((layout) => layout.id === activeLayoutId);
+
+  // Make a layout the working copy (undo history belongs to the grid being edited)
+  const loadLayoutIntoGrid = (layout) => {
+    setActiveLayoutId(layout.id);
+    setGrid(layout.grid);
+    setRows(layout.rows);
+    setAnimationMode(layout.animationMode);
+    setSelectionMode(false);
+    setSelectedCells({});
+    gridHistory.clear();
+  };
+
+  const applySnapshot = (snapshot) => {
+    if (!isSameGridShape(grid, snapshot.grid)) setSelectedCells({});
+    setGrid(snapshot.grid);
+    setRows(snapshot.rows);
+    setAnimationMode(snapshot.animationMode);
+  };
+
+  // Every grid mutation goes through here so it can be undone
+  const { record: recordHistory } = gridHistory;
+  const applyGridChange = useCallback((changes) => {
+    recordHistory({ grid, rows, animationMode });
+    if (changes.grid !== undefined) {
+      if (!isSameGridShape(grid, changes.grid)) setSelectedCells({});
+      setGrid(changes.grid);
+    }
+    if (changes.rows !== undefined) setRows(changes.rows);
+    if (changes.animationMode !== undefined) setAnimationMode(changes.animationMode);
+  }, [grid, rows, animationMode, recordHistory]);
+
+  const undo = () => {
+    const previous = gridHistory.undo({ grid, rows, animationMode });
+    if (previous) applySnapshot(previous);
+  };
+
+  const redo = () => {
+    const next = gridHistory.redo({ grid, rows, animationMode });
+    if (next) applySnapshot(next);
+  };
+
+  // Restore from CloudStorage on startup - it may be newer if the plan was edited on another device
+  const { clear: clearHistory } = gridHistory;
+  useEffect(() => {
+    let cancelled = false;
+    loadCloudLayouts().then((cloudLayouts) => {
+      if (cancelled) return;
+      if (cloudLayouts && cloudLayouts.savedAt > localSavedAtRef.current) {
+        const active = cloudLayouts.layouts.find((layout) => layout.id === cloudLayouts.activeLayoutId);
+        setLayouts(cloudLayouts.layouts);
+        setActiveLayoutId(active.id);
+        setGrid(active.grid);
+        setRows(active.rows);
+        setAnimationMode(active.animationMode);
+        // Undo steps belong to the replaced grid
+        clearHistory();
+      }
+      cloudSyncReadyRef.current = true;
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [restoredLayouts, clearHistory]);
+
+  // Persist every change: localStorage immediately, CloudStorage debounced
+  useEffect(() => {
+    const previous = lastSavedLayoutsRef.current;
+    lastSavedLayoutsRef.current = currentLayouts;
+    // Nothing edited yet - saving would only move savedAt forward and make this copy look newer than the cloud one
+    if (previous === null || previous === currentLayouts) return;
+    const state = { layouts: currentLayouts, activeLayoutId };
+    localSavedAtRef.current = saveLocalLayouts(state);
+    if (!cloudSyncReadyRef.current) return;
+    const timer = setTimeout(() => saveCloudLayouts(state), CLOUD_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [currentLayouts, activeLayoutId]);
+
+  // Open a layout shared via start_param or #layout= once catalogs are loaded (backdrops are sent by name)
+  useEffect(() => {
+    if (loading) return;
+    const token = readIncomingLayoutToken();
+    if (!token || sessionStorage.getItem(SHARED_LAYOUT_SEEN_KEY) === token) return;
+
+    let cancelled = false;
+    decodeLayoutToken(token).then((decoded) => {
+      if (cancelled || !decoded) return;
+      const resolvedGrid = decoded.grid.map((row) => row.map((cell) => {
+        if (!cell?.backdrop) return cell;
+        const backdrop = backdrops.find((b) => b.name === cell.backdrop.name) || cell.backdrop;
+        return { ...cell, backdrop };
+      }));
+      setSharedLayout({ ...decoded, grid: resolvedGrid, token });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [loading, backdrops]);
+
+  // Any dialog over the grid - undo/redo stay off while one is open so they can't change the grid behind it
+  const isAnyModalOpen = modalIsOpen || bulkEditOpen || arrangeOpen || layoutManagerOpen || bulkImportOpen ||
+    ownedImportOpen || acquisitionOpen || exportState.isOpen || shareLinkState.isOpen;
+
+  // Undo/redo keyboard shortcuts: Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl/Cmd+Y
+  // No deps on purpose - re-subscribed every render so the handler sees the current grid
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isAnyModalOpen || isViewingShared) return;
+      // Leave text fields their native undo
+      if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
   const handleSaveToTelegram = useCallback(() => {
     const payload = {
       rows,
+      columns,
       animationMode,
       grid,
     };
@@ -428,7 +877,10 @@ function App() {
       console.warn('[handleSaveToTelegram] sendData failed, falling back to console', error);
       console.log('Payload:', payload);
     }
-  }, [grid, rows, animationMode]);
+  }, [grid, rows, columns, animationMode]);
+
+  // Follow Telegram themeParams / color scheme, including live themeChanged events
+  useEffect(() => watchTheme(), []);
 
   useEffect(() => {
     const webApp = window.Telegram?.WebApp;
@@ -438,14 +890,14 @@ function App() {
     webApp.expand();
     telegramRef.current = webApp;
 
-    webApp.MainButton.setText('Сохранить');
+    webApp.MainButton.setText(t('common.save'));
     webApp.MainButton.show();
     webApp.MainButton.onClick(handleSaveToTelegram);
 
     return () => {
       webApp.MainButton.offClick(handleSaveToTelegram);
     };
-  }, [handleSaveToTelegram]);
+  }, [handleSaveToTelegram, t]);
 
   // Process the API data from React Query when it's available
   useEffect(() => {
@@ -523,11 +975,11 @@ function App() {
   }, []);
 
   const saveCell = useCallback((cellData) => {
-    const newGrid = [...grid];
+    const newGrid = grid.map(row => [...row]);
     newGrid[currentCell.row][currentCell.col] = cellData;
-    setGrid(newGrid);
+    applyGridChange({ grid: newGrid });
     closeModal();
-  }, [grid, currentCell, closeModal]);
+  }, [grid, currentCell, closeModal, applyGridChange]);
 
   // Simple fetch wrapper for models and patterns
   const safeFetch = async (endpoint, fallback = []) => {
@@ -546,248 +998,181 @@ function App() {
     }
   };
 
-  const parseLink = (link) => {
-    const match = link.match(/t\.me\/nft\/(.+?)-(\d+)/);
-    if (match) {
-      // Convert slug to gift name:
-      // 1. Replace dashes with spaces: "magic-potion" → "magic potion"
-      // 2. Insert space before capital letters: "InstantRamen" → "Instant Ramen"  
-      // 3. Capitalize each word: "instant ramen" → "Instant Ramen"
-      let name = match[1]
-        .replace(/-/g, ' ')
-        .replace(/([a-z])([A-Z])/g, '$1 $2') // Insert space before capitals
-        .replace(/\b\w/g, (l) => l.toUpperCase());
-      const giftNumber = match[2];
-      return { name, giftNumber, slug: match[1] };
-    }
-    return null;
-  };
-
-  /**
-   * Parse NFT page content to extract Model, Backdrop, Symbol, and total issued count
-   * Handles multiple formats:
-   * - Markdown table: | Model | Diamonds 0.5% |
-   * - Text format: Model: Diamonds 0.5%
-   * - Quantity: X/Y issued or X/Y
-   * - HTML meta tags and page content
-   */
-  const parseNftPageContent = (text) => {
-    const result = { model: '', backdrop: '', pattern: '', totalIssued: null };
-    
-    // Log first 2000 chars of text for debugging
-    console.log('[parseNftPageContent] Raw text (first 2000 chars):', text.substring(0, 2000));
-    
-    // First try to extract from HTML meta description or og:description
-    const metaDescMatch = text.match(/<meta[^>]*(?:name=["']description["']|property=["']og:description["'])[^>]*content=["']([^"']+)["']/i);
-    const pageTextMatch = text.match(/<div[^>]*class="[^"]*tgme_page_description[^"]*"[^>]*>([^<]+)</i);
-    
-    let contentToParse = text;
-    if (metaDescMatch) {
-      console.log('[parseNftPageContent] Found meta description:', metaDescMatch[1]);
-      contentToParse = metaDescMatch[1] + '\n' + text;
-    }
-    if (pageTextMatch) {
-      console.log('[parseNftPageContent] Found page description:', pageTextMatch[1]);
-      contentToParse = pageTextMatch[1] + '\n' + contentToParse;
-    }
-    
-    // Also try to find content in script data
-    const scriptDataMatch = text.match(/data-webview-text="([^"]+)"/i);
-    if (scriptDataMatch) {
-      console.log('[parseNftPageContent] Found webview text:', scriptDataMatch[1]);
-      contentToParse = scriptDataMatch[1] + '\n' + contentToParse;
-    }
-    
-    // Split into lines for line-by-line parsing
-    const lines = contentToParse.split('\n').map(l => l.trim());
-    console.log('[parseNftPageContent] Total lines:', lines.length);
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const lineLower = line.toLowerCase();
-      
-      // Skip empty lines
-      if (!line) continue;
-      
-      // Check for Model
-      if (lineLower.includes('model') && !result.model) {
-        // Try markdown table format: | Model | Diamonds 0.5% |
-        let match = line.match(/\|\s*Model\s*\|\s*([^|]+?)\s*(?:\d+\.?\d*%\s*)?\|/i);
-        if (!match) {
-          // Try text format: Model: Diamonds 0.5%
-          match = line.match(/Model\s*[:|]\s*([^%\n]+?)(?:\s+\d+\.?\d*%|$)/i);
-        }
-        if (!match) {
-          // Try simple format without percentage
-          match = line.match(/Model\s*[:|]\s*(.+)/i);
-        }
-        if (match && match[1]) {
-          result.model = match[1].trim().replace(/\s*\d+\.?\d*%\s*$/, '').trim();
-          console.log('[parseNftPageContent] Found model on line', i, ':', result.model, '| Line:', line);
-        }
-      }
-      
-      // Check for Backdrop
-      if (lineLower.includes('backdrop') && !result.backdrop) {
-        let match = line.match(/\|\s*Backdrop\s*\|\s*([^|]+?)\s*(?:\d+\.?\d*%\s*)?\|/i);
-        if (!match) {
-          match = line.match(/Backdrop\s*[:|]\s*([^%\n]+?)(?:\s+\d+\.?\d*%|$)/i);
-        }
-        if (!match) {
-          match = line.match(/Backdrop\s*[:|]\s*(.+)/i);
-        }
-        if (match && match[1]) {
-          result.backdrop = match[1].trim().replace(/\s*\d+\.?\d*%\s*$/, '').trim();
-          console.log('[parseNftPageContent] Found backdrop on line', i, ':', result.backdrop, '| Line:', line);
-        }
-      }
-      
-      // Check for Symbol or Pattern
-      if ((lineLower.includes('symbol') || lineLower.includes('pattern')) && !result.pattern) {
-        let match = line.match(/\|\s*(?:Symbol|Pattern)\s*\|\s*([^|]+?)\s*(?:\d+\.?\d*%\s*)?\|/i);
-        if (!match) {
-          match = line.match(/(?:Symbol|Pattern)\s*[:|]\s*([^%\n]+?)(?:\s+\d+\.?\d*%|$)/i);
-        }
-        if (!match) {
-          match = line.match(/(?:Symbol|Pattern)\s*[:|]\s*(.+)/i);
-        }
-        if (match && match[1]) {
-          result.pattern = match[1].trim().replace(/\s*\d+\.?\d*%\s*$/, '').trim();
-          console.log('[parseNftPageContent] Found pattern on line', i, ':', result.pattern, '| Line:', line);
-        }
-      }
-      
-      // Check for Quantity / issued count (e.g., "367 993/457 382 issued" or "Quantity: 367 993/457 382")
-      if ((lineLower.includes('quantity') || lineLower.includes('issued') || line.includes('/')) && !result.totalIssued) {
-        // Try to match patterns like "367 993/457 382 issued" or "367,993/457,382"
-        let match = line.match(/[\d,\s]+\/\s*([\d,\s]+)/);
-        if (match && match[1]) {
-          // Remove spaces and commas, parse as number
-          const totalStr = match[1].replace(/[\s,]/g, '');
-          const total = parseInt(totalStr, 10);
-          if (!isNaN(total) && total > 0) {
-            result.totalIssued = total;
-            console.log('[parseNftPageContent] Found totalIssued on line', i, ':', result.totalIssued, '| Line:', line);
-          }
-        }
-      }
-    }
-    
-    // If we still haven't found totalIssued, try a global regex on the entire text
-    if (!result.totalIssued) {
-      // Look for patterns like "368 141/457 382" anywhere in the HTML
-      const globalMatch = text.match(/([\d\s,]+)\s*\/\s*([\d\s,]+)\s*(?:issued)?/i);
-      if (globalMatch && globalMatch[2]) {
-        const totalStr = globalMatch[2].replace(/[\s,]/g, '');
-        const total = parseInt(totalStr, 10);
-        if (!isNaN(total) && total > 0) {
-          result.totalIssued = total;
-          console.log('[parseNftPageContent] Found totalIssued via global match:', result.totalIssued);
-        }
-      }
-    }
-    
-    console.log('[parseNftPageContent] Extracted result:', result);
-    return result;
+  // Patterns of a gift through the shared cache (bulk edit needs them outside CellModal)
+  const loadPatternsForGift = async (gift) => {
+    if (patternsCache[gift]) return patternsCache[gift];
+    const patternsData = await safeFetch(`/patterns/${normalizeGiftName(gift)}?sorted`, []);
+    setPatternsCache((prev) => ({ ...prev, [gift]: patternsData }));
+    sessionStorage.setItem(`patterns_${gift}`, JSON.stringify(patternsData));
+    return patternsData;
   };
 
   /**
-   * Fetch NFT page and extract upgrade details
-   * Uses CORS proxy to bypass browser restrictions
+   * Fetch parsed NFT details from our /api/nft route
+   * (the route fetches the t.me page and parses it server-side)
+   * @returns {Promise<Object|null>} { gift, number, model, modelRarity, backdrop, ... } or null
    */
   const fetchNftDetails = async (slug, giftNumber) => {
-    const url = `https://t.me/nft/${slug}-${giftNumber}`;
-    console.log('[fetchNftDetails] Fetching:', url);
+    const id = `${slug}-${giftNumber}`;
     
     try {
-      // Minimum length for valid HTML response (short responses are likely error pages)
-      const MIN_VALID_HTML_LENGTH = 100;
-      
-      // Use a CORS proxy to fetch the Telegram page
-      // Try multiple proxies in case one fails
-      // Priority: own API proxy first, then external proxies as fallback
-      const proxies = [
-        `/api/proxy?url=${encodeURIComponent(url)}`, // Own Vercel API proxy (most reliable)
-        `https://api.codetabs.com/v1/proxy?quest=${encodeURIComponent(url)}`, // codetabs proxy
-        `https://corsproxy.io/?${encodeURIComponent(url)}`, // corsproxy.io
-        `https://api.allorigins.win/get?url=${encodeURIComponent(url)}`, // JSON wrapper format
-        `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`, // Raw format as fallback
-      ];
-      
-      let html = null;
-      for (const proxyUrl of proxies) {
-        try {
-          console.log('[fetchNftDetails] Trying proxy:', proxyUrl.split('?')[0]);
-          const response = await fetch(proxyUrl, { 
-            cache: 'no-store',
-            headers: { 'Accept': '*/*' }
-          });
-          if (response.ok) {
-            const text = await response.text();
-            // allorigins.win /get endpoint returns JSON with 'contents' field
-            if (proxyUrl.includes('allorigins.win/get')) {
-              try {
-                const json = JSON.parse(text);
-                html = json.contents;
-              } catch {
-                html = text;
-              }
-            } else {
-              html = text;
-            }
-            console.log('[fetchNftDetails] Fetched via proxy:', proxyUrl.split('?')[0], 'Length:', html?.length);
-            if (html && html.length > MIN_VALID_HTML_LENGTH) break;
-          }
-        } catch (proxyError) {
-          console.warn('[fetchNftDetails] Proxy failed:', proxyUrl.split('?')[0], proxyError.message);
-        }
-      }
+      const response = await fetch(`/api/nft/${encodeURIComponent(id)}`, {
+        cache: 'no-store',
+        headers: { 'Accept': 'application/json' },
+      });
       
-      if (!html) {
-        console.warn('[fetchNftDetails] All proxies failed');
+      if (!response.ok) {
+        console.warn('[fetchNftDetails] Request failed:', id, response.status);
         return null;
       }
       
-      // Parse the HTML to extract text content
-      // The page content is in meta tags or page body
-      const details = parseNftPageContent(html);
-      return details;
+      return await response.json();
     } catch (error) {
       console.error('[fetchNftDetails] Error:', error);
       return null;
     }
   };
 
-  const handleDragStart = (event) => {
-    setActiveId(event.active.id);
-  };
-
-  const handleDragOver = (event) => {
-    const { over } = event;
-    setOverId(over?.id || null);
-  };
+  /**
+   * Resolve one t.me/nft link into cell data for bulk import
+   * @returns {Promise<{status: 'full'|'partial'|'failed', cell: Object|null, message: string}>}
+   */
+  const resolveNftLink = async (link) => {
+    const parsed = parseLink(link);
+    if (!parsed) {
+      return { status: 'failed', cell: null, message: t('link.invalid') };
+    }
 
-  const handleDragEnd = (event) => {
+    const { name, giftNumber, slug } = parsed;
+    const cell = {
+      gift: name,
+      model: '',
+      backdrop: null,
+      pattern: '',
+      totalIssued: null,
+      text: '',
+      giftNumber: parseInt(giftNumber, 10),
+      link: `https://t.me/nft/${slug}-${giftNumber}`,
+    };
+    const details = await fetchNftDetails(slug, giftNumber);
+    if (!details) {
+      return { status: 'partial', cell, message: t('link.detailsUnavailable') };
+    }
+
+    cell.model = details.model;
+    cell.pattern = details.pattern;
+    cell.totalIssued = details.totalIssued;
+    cell.modelRarity = details.modelRarity ?? null;
+    cell.backdropRarity = details.backdropRarity ?? null;
+    cell.patternRarity = details.patternRarity ?? null;
+    if (details.backdrop) {
+      cell.backdrop = findBackdropByName(backdrops, details.backdrop);
+    }
+    if (cell.model) {
+      prefetchAnimation(name, cell.model);
+    }
+
+    const missing = [
+      !cell.model && t('link.missing.model'),
+      !cell.backdrop && t('link.missing.backdrop'),
+      !cell.pattern && t('link.missing.pattern'),
+    ].filter(Boolean);
+    if (missing.length === 0) {
+      return { status: 'full', cell, message: cell.model };
+    }
+    return { status: 'partial', cell, message: t('link.notFound', { list: missing.join(', ') }) };
+  };
+
+  /**
+   * Turn an owned-gift import entry into cell data
+   * Entries that only know the NFT link (profile pages, link lists) get their details from /api/nft.
+   */
+  const ownedGiftToCell = async (entry) => {
+    if (needsDetails(entry)) {
+      const { cell } = await resolveNftLink(entry.link);
+      return cell ? { ...cell, ownership: 'owned' } : null;
+    }
+    if (entry.model) prefetchAnimation(entry.gift, entry.model);
+    return {
+      gift: entry.gift,
+      model: entry.model,
+      backdrop: entry.backdrop ? findBackdropByName(backdrops, entry.backdrop) : null,
+      pattern: entry.pattern,
+      totalIssued: entry.totalIssued,
+      text: '',
+      modelRarity: entry.modelRarity,
+      backdropRarity: entry.backdropRarity,
+      patternRarity: entry.patternRarity,
+      giftNumber: entry.number,
+      link: entry.link,
+      ownership: 'owned',
+    };
+  };
+
+  // Put imported cells into empty slots in reading order, adding rows at the bottom when needed
+  // @returns {number} How many cells were placed
+  const placeCellsInEmptySlots = (cells) => {
+    const newGrid = grid.map(row => [...row]);
+    const queue = [...cells];
+    for (const row of newGrid) {
+      for (let col = 0; col < row.length && queue.length > 0; col++) {
+        if (!row[col]) row[col] = queue.shift();
+      }
+    }
+    while (queue.length > 0) {
+      newGrid.push(createEmptyRow(columns).map(() => queue.shift() ?? null));
+    }
+    if (queue.length < cells.length) {
+      applyGridChange({ grid: newGrid, rows: newGrid.length });
+    }
+    return cells.length - queue.length;
+  };
+
+  const handleDragStart = (event) => {
+    setActiveId(event.active.id);
+  };
+
+  const handleDragOver = (event) => {
+    const { over } = event;
+    setOverId(over?.id || null);
+  };
+
+  const handleDragEnd = (event) => {
     const { active, over } = event;
     setActiveId(null);
     setOverId(null);
     
     if (!over || active.id === over.id) return;
 
-    const activeIndex = parseInt(active.id.replace('cell-', ''), 10);
-    const overIndex = parseInt(over.id.replace('cell-', ''), 10);
+    const kind = getDragKind(active.id);
+    if (kind !== getDragKind(over.id)) return;
+    const activeIndex = getDragIndex(active.id);
+    const overIndex = getDragIndex(over.id);
 
-    const sourceRow = Math.floor(activeIndex / 3);
-    const sourceCol = activeIndex % 3;
-    const destRow = Math.floor(overIndex / 3);
-    const destCol = overIndex % 3;
+    if (kind === 'row') {
+      applyGridChange({ grid: moveRow(grid, activeIndex, overIndex) });
+      return;
+    }
+    if (kind === 'col') {
+      applyGridChange({ grid: moveColumn(grid, activeIndex, overIndex) });
+      return;
+    }
+    if (dragMode === 'insert') {
+      applyGridChange({ grid: moveCell(grid, activeIndex, overIndex) });
+      return;
+    }
+
+    const sourceRow = Math.floor(activeIndex / columns);
+    const sourceCol = activeIndex % columns;
+    const destRow = Math.floor(overIndex / columns);
+    const destCol = overIndex % columns;
 
     // Swap cells
     const newGrid = grid.map(row => [...row]);
     const temp = newGrid[destRow][destCol];
     newGrid[destRow][destCol] = newGrid[sourceRow][sourceCol];
     newGrid[sourceRow][sourceCol] = temp;
-    setGrid(newGrid);
+    applyGridChange({ grid: newGrid });
   };
 
   const handleDragCancel = () => {
@@ -796,112 +1181,283 @@ function App() {
   };
 
   const toggleAnimationMode = () => {
-    const newAnimationMode = !animationMode;
-    setAnimationMode(newAnimationMode);
-    
-    // If turning on animation mode and rows > 5, remove excess rows
-    if (newAnimationMode && rows > 5) {
-      const newGrid = grid.slice(0, 5);
-      setGrid(newGrid);
-      setRows(5);
-    }
+    applyGridChange({ animationMode: !animationMode });
   };
 
+  // Hand every animatable cell to the playback scheduler (it limits how many play at once)
   const playAllAnimations = () => {
-    // Find all cells with gifts (with model OR with giftId for original animation)
-    const animations = {};
-    
-    // Helper to get giftId
-    const getGiftIdForAnimation = (giftName) => {
-      if (!giftName) return null;
-      const variants = [
-        giftName,
-        giftName.toLowerCase(),
-        normalizeGiftName(giftName),
-        aggressiveNormalize(giftName),
-      ];
-      for (const variant of variants) {
-        if (giftIds[variant]) return giftIds[variant];
-      }
-      return null;
-    };
-    
-    grid.forEach((row, rowIndex) => {
-      row.forEach((cell, colIndex) => {
-        if (cell && cell.gift) {
-          // Animation available if model is selected OR giftId exists for original
-          const hasAnimation = cell.model || getGiftIdForAnimation(cell.gift);
-          if (hasAnimation) {
-            const key = `${rowIndex}-${colIndex}`;
-            animations[key] = true;
-          }
-        }
+    playback.play(animationEntries, playbackStyle);
+  };
+
+  const changePlaybackStyle = (style) => {
+    setPlaybackStyle(style);
+    localStorage.setItem(PLAYBACK_STYLE_KEY, style);
+  };
+
+  // Render the #grid container to a PNG and show it in the export dialog
+  const exportGridImage = async () => {
+    setExportState({ isOpen: true, isRendering: true, blob: null, url: null, error: '' });
+    try {
+      const blob = await renderElementToPng(document.getElementById('grid'), {
+        backgroundColor: getComputedStyle(document.body).backgroundColor,
       });
+      setExportState({ isOpen: true, isRendering: false, blob, url: URL.createObjectURL(blob), error: '' });
+    } catch (error) {
+      console.error('[exportGridImage] Export failed:', error);
+      setExportState({ isOpen: true, isRendering: false, blob: null, url: null, error: t('export.failed') });
+    }
+  };
+
+  // Animated export: every cell's animation rendered from the same frame (see exportAnimation.js)
+  const renderAnimatedExport = async (options, onProgress) => {
+    // Cells must show their still images - the export draws the animations itself
+    playback.stop();
+    await new Promise((resolve) => requestAnimationFrame(resolve));
+    const lottie = await loadLottie();
+    return renderGridAnimation(document.getElementById('grid'), {
+      ...options,
+      cells: animationEntries,
+      lottie,
+      backgroundColor: getComputedStyle(document.body).backgroundColor,
+      onProgress,
     });
-    
-    console.log('[playAllAnimations] Starting animations for cells:', Object.keys(animations));
-    
-    // Start all animations at once
-    setPlayingAnimations(animations);
-    
-    // Stop all animations after duration
-    setTimeout(() => {
-      setPlayingAnimations({});
-    }, 3000);
   };
 
-  const isAnyAnimationPlaying = () => {
-    return Object.keys(playingAnimations).length > 0;
+  // Encode the active layout into a share link
+  const shareLayoutLink = async () => {
+    try {
+      const token = await encodeLayoutToken(activeLayout);
+      setShareLinkState({ isOpen: true, ...buildShareLink(token) });
+    } catch (error) {
+      console.error('[shareLayoutLink] Failed to encode layout:', error);
+    }
+  };
+
+  const dismissSharedLayout = () => {
+    sessionStorage.setItem(SHARED_LAYOUT_SEEN_KEY, sharedLayout.token);
+    clearIncomingLayoutHash();
+    setSharedLayout(null);
+  };
+
+  const copySharedLayout = () => {
+    const layout = createLayout(sharedLayout.name || t('layouts.receivedName'), {
+      grid: sharedLayout.grid,
+      animationMode: sharedLayout.animationMode,
+    });
+    setLayouts([...currentLayouts, layout]);
+    loadLayoutIntoGrid(layout);
+    dismissSharedLayout();
+  };
+
+  const closeExportModal = () => {
+    if (exportState.url) URL.revokeObjectURL(exportState.url);
+    setExportState({ isOpen: false, isRendering: false, blob: null, url: null, error: '' });
+  };
+
+  const toggleShowRarity = () => {
+    const next = !showRarity;
+    setShowRarity(next);
+    localStorage.setItem(SHOW_RARITY_KEY, next ? '1' : '0');
+  };
+
+  const toggleShowPrices = () => {
+    const next = !showPrices;
+    setShowPrices(next);
+    localStorage.setItem(SHOW_PRICES_KEY, next ? '1' : '0');
+  };
+
+  const changeBudget = (value) => {
+    setBudget(value);
+    localStorage.setItem(BUDGET_KEY, value);
+  };
+
+  const openAcquisitionCell = (row, col) => {
+    setAcquisitionOpen(false);
+    openModal(row, col);
+  };
+
+  const changeDragMode = (mode) => {
+    setDragMode(mode);
+    localStorage.setItem(DRAG_MODE_KEY, mode);
+  };
+
+  const toggleShowSerial = () => {
+    const next = !showSerial;
+    setShowSerial(next);
+    localStorage.setItem(SHOW_SERIAL_KEY, next ? '1' : '0');
+  };
+
+  // Read-only cells can't be edited - tapping one with a source link offers to open the NFT instead
+  const handleSharedCellClick = useCallback(async (row, col) => {
+    const cell = sharedLayout?.grid[row]?.[col];
+    if (!cell?.link) return;
+    if (await confirmAction(t('shared.openNftConfirm', { gift: cell.gift, number: cell.giftNumber }))) {
+      openTelegramLink(cell.link);
+    }
+  }, [sharedLayout, t]);
+
+  // Selected positions that still exist in the grid (rows/columns may have been removed since)
+  const selectedPositions = Object.keys(selectedCells)
+    .map((key) => key.split('-').map(Number))
+    .filter(([row, col]) => row < grid.length && col < columns);
+
+  const startSelection = useCallback((row, col) => {
+    setSelectionMode(true);
+    setSelectedCells({ [`${row}-${col}`]: true });
+  }, []);
+
+  const toggleCellSelection = useCallback((row, col) => {
+    const key = `${row}-${col}`;
+    setSelectedCells((prev) => {
+      const next = { ...prev };
+      if (next[key]) delete next[key];
+      else next[key] = true;
+      return next;
+    });
+  }, []);
+
+  const exitSelection = () => {
+    setSelectionMode(false);
+    setSelectedCells({});
+    setBulkEditOpen(false);
+  };
+
+  // Extend the selection to whole rows / columns of the selected cells
+  const selectWholeLines = (axis) => {
+    const next = { ...selectedCells };
+    const lines = new Set(selectedPositions.map(([row, col]) => (axis === 'row' ? row : col)));
+    grid.forEach((rowCells, row) => {
+      rowCells.forEach((_, col) => {
+        if (lines.has(axis === 'row' ? row : col)) next[`${row}-${col}`] = true;
+      });
+    });
+    setSelectedCells(next);
+  };
+
+  const selectAllCells = () => {
+    const next = {};
+    grid.forEach((rowCells, row) => {
+      rowCells.forEach((_, col) => {
+        next[`${row}-${col}`] = true;
+      });
+    });
+    setSelectedCells(next);
+  };
+
+  // Apply updateCell(cell) to every selected cell as a single undo step
+  const updateSelectedCells = (updateCell) => {
+    const newGrid = grid.map((rowCells, row) => rowCells.map((cell, col) => (
+      selectedCells[`${row}-${col}`] ? updateCell(cell) : cell
+    )));
+    applyGridChange({ grid: newGrid });
+    setBulkEditOpen(false);
+  };
+
+  const clearSelectedCells = async () => {
+    if (!await confirmAction(t('selection.clearConfirm', { count: selectedPositions.length }))) return;
+    updateSelectedCells(() => null);
+  };
+
+  const pasteIntoSelectedCells = () => {
+    if (!copiedCell) return;
+    updateSelectedCells(() => ({ ...copiedCell }));
+  };
+
+  // Change the grid width - cells keep their reading order
+  const changeColumns = (newColumns) => {
+    if (newColumns === columns) return;
+    // Reflow pads the last row with empty cells - trim them so switching back and forth doesn't keep adding rows
+    const newGrid = trimTrailingEmptyRows(reflowGrid(grid, newColumns), Math.min(rows, DEFAULT_ROWS));
+    applyGridChange({ grid: newGrid, rows: newGrid.length });
   };
 
   const resetGrid = () => {
-    setGrid(Array.from({ length: rows }, () => Array(3).fill(null)));
+    applyGridChange({ grid: createEmptyGrid(rows, columns) });
+  };
+
+  // Layout manager actions
+  const switchLayout = (id) => {
+    if (id === activeLayoutId) return;
+    const target = currentLayouts.find((layout) => layout.id === id);
+    if (!target) return;
+    setLayouts(currentLayouts);
+    loadLayoutIntoGrid(target);
+  };
+
+  const createNewLayout = (name) => {
+    const layout = createLayout(name);
+    setLayouts([...currentLayouts, layout]);
+    loadLayoutIntoGrid(layout);
+  };
+
+  const renameLayout = (id, name) => {
+    setLayouts(currentLayouts.map((layout) => (layout.id === id ? { ...layout, name } : layout)));
+  };
+
+  const duplicateLayout = (id) => {
+    const sourceIndex = currentLayouts.findIndex((layout) => layout.id === id);
+    if (sourceIndex === -1) return;
+    const source = currentLayouts[sourceIndex];
+    const copy = createLayout(t('layouts.copyName', { name: getLayoutName(source, t) }), {
+      grid: structuredClone(source.grid),
+      animationMode: source.animationMode,
+    });
+    const nextLayouts = [...currentLayouts];
+    nextLayouts.splice(sourceIndex + 1, 0, copy);
+    setLayouts(nextLayouts);
+  };
+
+  const deleteLayout = async (id) => {
+    if (currentLayouts.length <= 1) return;
+    const target = currentLayouts.find((layout) => layout.id === id);
+    if (!target || !(await confirmAction(t('layouts.deleteConfirm', { name: getLayoutName(target, t) })))) return;
+
+    const index = currentLayouts.indexOf(target);
+    const nextLayouts = currentLayouts.filter((layout) => layout.id !== id);
+    setLayouts(nextLayouts);
+    if (id === activeLayoutId) {
+      loadLayoutIntoGrid(nextLayouts[Math.min(index, nextLayouts.length - 1)]);
+    }
   };
 
   // Get the active cell data for overlay
   const getActiveCellData = () => {
-    if (!activeId) return null;
-    const activeIndex = parseInt(activeId.replace('cell-', ''), 10);
-    const rowIndex = Math.floor(activeIndex / 3);
-    const colIndex = activeIndex % 3;
-    return grid[rowIndex]?.[colIndex];
+    if (activeKind !== 'cell') return null;
+    const activeIndex = getDragIndex(activeId);
+    const rowIndex = Math.floor(activeIndex / displayColumns);
+    const colIndex = activeIndex % displayColumns;
+    return displayGrid[rowIndex]?.[colIndex];
   };
   
   // Add row at top
   const addRowTop = () => {
-    if (animationMode && rows >= 5) return;
-    setGrid(prev => [[null, null, null], ...prev]);
-    setRows(prev => prev + 1);
+    applyGridChange({ grid: [createEmptyRow(columns), ...grid], rows: rows + 1 });
   };
   
   // Remove row from top
   const removeRowTop = () => {
     if (rows <= 1) return;
-    setGrid(prev => prev.slice(1));
-    setRows(prev => prev - 1);
+    applyGridChange({ grid: grid.slice(1), rows: rows - 1 });
   };
   
   // Add row at bottom
   const addRowBottom = () => {
-    if (animationMode && rows >= 5) return;
-    setGrid(prev => [...prev, [null, null, null]]);
-    setRows(prev => prev + 1);
+    applyGridChange({ grid: [...grid, createEmptyRow(columns)], rows: rows + 1 });
   };
   
   // Remove row from bottom  
   const removeRowBottom = () => {
     if (rows <= 1) return;
-    setGrid(prev => prev.slice(0, -1));
-    setRows(prev => prev - 1);
+    applyGridChange({ grid: grid.slice(0, -1), rows: rows - 1 });
   };
 
   if (loading) {
     return (
       <div className="splash">
         <div>
-          <div style={{ marginBottom: '8px' }}>Идет загрузка... Пожалуйста, подождите</div>
-          <a href="https://t.me/NFTPlanChannel" target="_blank" rel="noreferrer" style={{ color: '#6ee7ff' }}>
-            Подписывайтесь на канал @NFTPlanChannel
+          <div style={{ marginBottom: '8px' }}>{t('splash.loading')}</div>
+          <a href="https://t.me/NFTPlanChannel" target="_blank" rel="noreferrer" style={{ color: 'var(--link-color)' }}>
+            {t('splash.subscribe')}
           </a>
         </div>
       </div>
@@ -911,7 +1467,7 @@ function App() {
   return (
     <div className="app">
       <div className="header-announcement">
-        Подписывайтесь на официальный канал и следите за обновлениями{' '}
+        {t('header.announcement')}{' '}
         <a href="https://t.me/NFTPlanChannel" target="_blank" rel="noreferrer">
           @NFTPlanChannel
         </a>
@@ -921,43 +1477,201 @@ function App() {
         <label className="toggle-switch">
           <input
             type="checkbox"
-            checked={animationMode}
+            checked={displayAnimationMode}
             onChange={toggleAnimationMode}
+            disabled={isViewingShared}
           />
           <span className="toggle-slider"></span>
         </label>
         <span 
           className="tooltip-icon" 
-          title="ВНИМАНИЕ! При включенном режиме анимации сетка будет ограничена в 5 рядов."
+          title={t('animation.tooltip')}
         >
           ?
         </span>
       </div>
       
       <div className="grid-wrapper">
+        {isViewingShared ? (
+          <div className="shared-layout-banner">
+            {sharedLayout.name ? t('shared.bannerNamed', { name: sharedLayout.name }) : t('shared.banner')}
+          </div>
+        ) : (
+          <div className="grid-toolbar">
+            <button
+              className="control-button"
+              onClick={undo}
+              disabled={!gridHistory.canUndo}
+              title={t('toolbar.undo')}
+            >
+              ↶
+            </button>
+            <button
+              className="layout-switcher"
+              onClick={() => setLayoutManagerOpen(true)}
+              title={t('toolbar.manageLayouts')}
+            >
+              {t('toolbar.layout', { name: getLayoutName(activeLayout, t) })} ▾
+            </button>
+            <button
+              className="control-button"
+              onClick={redo}
+              disabled={!gridHistory.canRedo}
+              title={t('toolbar.redo')}
+            >
+              ↷
+            </button>
+          </div>
+        )}
+
+        {!isViewingShared && selectionMode && (
+          <div className="selection-toolbar">
+            <span className="selection-count">{t('selection.count', { count: selectedPositions.length })}</span>
+            <button onClick={() => selectWholeLines('row')} disabled={selectedPositions.length === 0}>
+              {t('selection.rows')}
+            </button>
+            <button onClick={() => selectWholeLines('col')} disabled={selectedPositions.length === 0}>
+              {t('selection.columns')}
+            </button>
+            <button onClick={selectAllCells}>{t('selection.all')}</button>
+            <button
+              className="selection-edit"
+              onClick={() => setBulkEditOpen(true)}
+              disabled={selectedPositions.length === 0}
+            >
+              {t('selection.edit')}
+            </button>
+            <button onClick={exitSelection}>{t('selection.done')}</button>
+          </div>
+        )}
+
+        {!isViewingShared && !selectionMode && (
+          <div className="grid-options">
+            <div className="columns-picker" role="radiogroup" aria-label={t('options.gridWidth')}>
+              <span className="columns-picker-label">{t('options.columns')}</span>
+              {Array.from({ length: MAX_COLUMNS - MIN_COLUMNS + 1 }, (_, i) => MIN_COLUMNS + i).map((count) => (
+                <button
+                  key={count}
+                  role="radio"
+                  aria-checked={count === columns}
+                  className={`columns-picker-option${count === columns ? ' columns-picker-option-active' : ''}`}
+                  onClick={() => changeColumns(count)}
+                >
+                  {count}
+                </button>
+              ))}
+            </div>
+            <div className="columns-picker" role="radiogroup" aria-label={t('options.dragMode')}>
+              <span className="columns-picker-label">{t('options.dragModeLabel')}</span>
+              {DRAG_MODES.map((mode) => (
+                <button
+                  key={mode}
+                  role="radio"
+                  aria-checked={mode === dragMode}
+                  className={`columns-picker-option${mode === dragMode ? ' columns-picker-option-active' : ''}`}
+                  onClick={() => changeDragMode(mode)}
+                >
+                  {t(`options.dragMode.${mode}`)}
+                </button>
+              ))}
+            </div>
+            {animationMode && (
+              <div className="columns-picker" role="radiogroup" aria-label={t('options.playback')}>
+                <span className="columns-picker-label">{t('options.playbackLabel')}</span>
+                {PLAYBACK_STYLES.map((style) => (
+                  <button
+                    key={style}
+                    role="radio"
+                    aria-checked={style === playbackStyle}
+                    className={`columns-picker-option${style === playbackStyle ? ' columns-picker-option-active' : ''}`}
+                    onClick={() => changePlaybackStyle(style)}
+                  >
+                    {t(`options.playback.${style}`)}
+                  </button>
+                ))}
+              </div>
+            )}
+            <label className="display-option" title={t('options.rarityTitle')}>
+              <input type="checkbox" checked={showRarity} onChange={toggleShowRarity} />
+              {t('options.rarity')}
+            </label>
+            <label className="display-option" title={t('options.serialTitle')}>
+              <input type="checkbox" checked={showSerial} onChange={toggleShowSerial} />
+              {t('options.serial')}
+            </label>
+            <label className="display-option" title={t('options.pricesTitle')}>
+              <input type="checkbox" checked={showPrices} onChange={toggleShowPrices} />
+              {t('options.prices')}
+            </label>
+            <button
+              className="columns-picker-option"
+              onClick={() => setSelectionMode(true)}
+              title={t('selection.startTitle')}
+            >
+              {t('selection.start')}
+            </button>
+            <div className="columns-picker" role="radiogroup" aria-label={t('options.language')}>
+              {LANGUAGES.map((code) => (
+                <button
+                  key={code}
+                  role="radio"
+                  aria-checked={code === language}
+                  className={`columns-picker-option${code === language ? ' columns-picker-option-active' : ''}`}
+                  onClick={() => setLanguage(code)}
+                >
+                  {code.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {showPrices && (
+          <div className="valuation-panel">
+            {gridValue ? (
+              <>
+                <span className="valuation-total">
+                  {t('valuation.total', { value: formatPrice(gridValue.total, prices.currency, language) })}
+                </span>
+                <span className="valuation-meta">
+                  {t('valuation.priced', {
+                    gifts: t('count.gifts', { count: gridValue.priced + gridValue.unpriced }),
+                    priced: gridValue.priced,
+                  })}
+                  {prices.updatedAt && ` · ${t('valuation.updated', { date: prices.updatedAt })}`}
+                </span>
+              </>
+            ) : (
+              <span className="valuation-meta">
+                {isLoadingPrices ? t('common.loading') : isPriceError ? t('valuation.error') : null}
+              </span>
+            )}
+          </div>
+        )}
+
         {/* Top row controls */}
         <div className="grid-controls">
           <button 
             className="control-button" 
             onClick={addRowTop}
-            disabled={animationMode && rows >= 5}
-            title="Добавить ряд сверху"
+            disabled={isViewingShared}
+            title={t('controls.addRowTop')}
           >
             +
           </button>
           <button 
             className="control-button play-button" 
-            onClick={playAllAnimations}
-            disabled={!animationMode || isAnyAnimationPlaying()}
-            title="Запустить анимацию"
+            onClick={playback.isPlaying ? playback.stop : playAllAnimations}
+            disabled={!displayAnimationMode}
+            title={playback.isPlaying ? t('controls.stop') : t('controls.play')}
           >
-            ▶
+            {playback.isPlaying ? '■' : '▶'}
           </button>
           <button 
             className="control-button" 
             onClick={removeRowTop}
-            disabled={rows <= 1}
-            title="Удалить ряд сверху"
+            disabled={isViewingShared || rows <= 1}
+            title={t('controls.removeRowTop')}
           >
             −
           </button>
@@ -971,38 +1685,79 @@ function App() {
           onDragEnd={handleDragEnd}
           onDragCancel={handleDragCancel}
         >
-          <SortableContext items={cellIds} strategy={rectSortingStrategy}>
-            <div id="grid" className="grid-container">
-              {grid.flat().map((cell, flatIndex) => {
-                const rowIndex = Math.floor(flatIndex / 3);
-                const colIndex = flatIndex % 3;
-                const isPlaying = playingAnimations[`${rowIndex}-${colIndex}`];
-                const cellId = `cell-${flatIndex}`;
-                return (
-                  <SortableCell
-                    key={cellId}
-                    id={cellId}
-                    cell={cell}
-                    rowIndex={rowIndex}
-                    colIndex={colIndex}
-                    isPlaying={isPlaying}
-                    animationMode={animationMode}
-                    onCellClick={openModal}
-                    isOver={overId === cellId && activeId !== cellId}
-                    giftIds={giftIds}
-                    imageLoadReady={imageLoadReady}
-                  />
-                );
-              })}
-            </div>
-          </SortableContext>
+          <div className={showLineHandles ? 'grid-frame grid-frame-handles' : 'grid-frame'}>
+            {showLineHandles && (
+              <SortableContext items={columnIds} strategy={horizontalListSortingStrategy}>
+                <div className="column-handles" style={{ '--grid-columns': displayColumns }}>
+                  {columnIds.map((handleId, index) => (
+                    <LineHandle
+                      key={handleId}
+                      id={handleId}
+                      axis="col"
+                      index={index}
+                      isOver={overId === handleId && activeKind === 'col'}
+                      dropDisabled={activeKind !== 'col'}
+                    />
+                  ))}
+                </div>
+              </SortableContext>
+            )}
+            {showLineHandles && (
+              <SortableContext items={rowIds} strategy={verticalListSortingStrategy}>
+                <div className="row-handles" style={{ '--grid-rows': displayGrid.length }}>
+                  {rowIds.map((handleId, index) => (
+                    <LineHandle
+                      key={handleId}
+                      id={handleId}
+                      axis="row"
+                      index={index}
+                      isOver={overId === handleId && activeKind === 'row'}
+                      dropDisabled={activeKind !== 'row'}
+                    />
+                  ))}
+                </div>
+              </SortableContext>
+            )}
+            <SortableContext items={cellIds} strategy={rectSortingStrategy}>
+              <div id="grid" className="grid-container" style={{ '--grid-columns': displayColumns }}>
+                {displayGrid.flat().map((cell, flatIndex) => {
+                  const rowIndex = Math.floor(flatIndex / displayColumns);
+                  const colIndex = flatIndex % displayColumns;
+                  const isPlaying = playback.playingCells[`${rowIndex}-${colIndex}`];
+                  const cellId = `cell-${flatIndex}`;
+                  return (
+                    <SortableCell
+                      key={cellId}
+                      id={cellId}
+                      cell={cell}
+                      rowIndex={rowIndex}
+                      colIndex={colIndex}
+                      isPlaying={isPlaying}
+                      animationMode={displayAnimationMode}
+                      onCellClick={isViewingShared ? handleSharedCellClick : selectionMode ? toggleCellSelection : openModal}
+                      onCellLongPress={isViewingShared || selectionMode ? undefined : startSelection}
+                      readOnly={isViewingShared}
+                      selectionMode={selectionMode}
+                      isSelected={selectionMode && Boolean(selectedCells[`${rowIndex}-${colIndex}`])}
+                      showRarity={showRarity}
+                      showSerial={showSerial}
+                      prices={prices}
+                      isOver={(overId === cellId && activeId !== cellId) || isInDropLine(rowIndex, colIndex)}
+                      dropDisabled={activeKind !== null && activeKind !== 'cell'}
+                      giftIds={giftIds}
+                      imageLoadReady={imageLoadReady}
+                      playerRegistry={playback.playerRegistry}
+                    />
+                  );
+                })}
+              </div>
+            </SortableContext>
+          </div>
           <DragOverlay dropAnimation={null}>
-            {activeId ? (
+            {activeKind === 'cell' ? (
               (() => {
                 const cellData = getActiveCellData();
-                const overlayBackground = cellData?.backdrop 
-                  ? `linear-gradient(to bottom, ${cellData.backdrop.hex?.edgeColor || '#1a3a5a'}, ${cellData.backdrop.hex?.centerColor || '#2a5a8a'})`
-                  : 'var(--default-cell-gradient)';
+                const overlayBackground = getCellBackground(cellData);
                 const overlayImageUrl = cellData?.gift ? getGiftImageUrl(cellData.gift, cellData.model, giftIds) : null;
                 return (
                   <div className="cell cell-overlay" style={{ background: overlayBackground }}>
@@ -1032,14 +1787,14 @@ function App() {
                                 display: 'flex',
                                 alignItems: 'center',
                                 justifyContent: 'center',
-                                color: 'rgba(255, 255, 255, 0.7)',
+                                color: 'var(--cell-label-color)',
                                 fontSize: '12px',
                                 textAlign: 'center',
                                 zIndex: 2,
                                 textShadow: '0 1px 2px rgba(0, 0, 0, 0.5)',
                               }}
                             >
-                              Загрузка...
+                              {t('common.loading')}
                             </div>
                           )
                         ) : cellData?.gift ? (
@@ -1050,7 +1805,7 @@ function App() {
                               display: 'flex',
                               alignItems: 'center',
                               justifyContent: 'center',
-                              color: 'rgba(255, 255, 255, 0.7)',
+                              color: 'var(--cell-label-color)',
                               fontSize: '12px',
                               textAlign: 'center',
                               zIndex: 2,
@@ -1061,11 +1816,15 @@ function App() {
                         ) : null}
                       </div>
                     ) : (
-                      <span className="empty-cell">Пусто</span>
+                      <span className="empty-cell">{t('cell.empty')}</span>
                     )}
                   </div>
                 );
               })()
+            ) : activeId ? (
+              <div className={`line-handle line-handle-${activeKind} line-handle-overlay`}>
+                {activeKind === 'row' ? '⋮⋮' : '⋯'}
+              </div>
             ) : null}
           </DragOverlay>
         </DndContext>
@@ -1075,40 +1834,152 @@ function App() {
           <button 
             className="control-button" 
             onClick={addRowBottom}
-            disabled={animationMode && rows >= 5}
-            title="Добавить ряд снизу"
+            disabled={isViewingShared}
+            title={t('controls.addRowBottom')}
           >
             +
           </button>
           <button 
             className="control-button play-button" 
-            onClick={playAllAnimations}
-            disabled={!animationMode || isAnyAnimationPlaying()}
-            title="Запустить анимацию"
+            onClick={playback.isPlaying ? playback.stop : playAllAnimations}
+            disabled={!displayAnimationMode}
+            title={playback.isPlaying ? t('controls.stop') : t('controls.play')}
           >
-            ▶
+            {playback.isPlaying ? '■' : '▶'}
           </button>
           <button 
             className="control-button" 
             onClick={removeRowBottom}
-            disabled={rows <= 1}
-            title="Удалить ряд снизу"
+            disabled={isViewingShared || rows <= 1}
+            title={t('controls.removeRowBottom')}
           >
             −
           </button>
         </div>
         
         {/* Bottom action buttons */}
-        <div className="bottom-actions">
-          <button className="action-button save-button" onClick={handleSaveToTelegram}>
-            Сохранить
-          </button>
-          <button className="action-button clear-button" onClick={resetGrid}>
-            Полный сброс
-          </button>
-        </div>
+        {isViewingShared ? (
+          <div className="bottom-actions">
+            <button className="action-button save-button" onClick={copySharedLayout}>
+              {t('actions.copyShared')}
+            </button>
+            <button className="action-button export-button" onClick={exportGridImage} disabled={exportState.isRendering}>
+              {t('common.export')}
+            </button>
+            <button className="action-button clear-button" onClick={dismissSharedLayout}>
+              {t('common.close')}
+            </button>
+          </div>
+        ) : (
+          <div className="bottom-actions">
+            <button className="action-button save-button" onClick={handleSaveToTelegram}>
+              {t('common.save')}
+            </button>
+            <button className="action-button export-button" onClick={exportGridImage} disabled={exportState.isRendering}>
+              {t('common.export')}
+            </button>
+            <button className="action-button export-button" onClick={shareLayoutLink}>
+              {t('actions.link')}
+            </button>
+            <button className="action-button export-button" onClick={() => setBulkImportOpen(true)}>
+              {t('actions.importLinks')}
+            </button>
+            <button className="action-button export-button" onClick={() => setOwnedImportOpen(true)}>
+              {t('actions.importOwned')}
+            </button>
+            <button className="action-button export-button" onClick={() => setArrangeOpen(true)}>
+              {t('actions.arrange')}
+            </button>
+            <button className="action-button export-button" onClick={() => setAcquisitionOpen(true)}>
+              {t('actions.toBuy')}
+            </button>
+            <button className="action-button clear-button" onClick={resetGrid}>
+              {t('actions.reset')}
+            </button>
+          </div>
+        )}
       </div>
 
+      <LayoutManagerModal
+        isOpen={layoutManagerOpen}
+        onClose={() => setLayoutManagerOpen(false)}
+        layouts={currentLayouts}
+        activeLayoutId={activeLayoutId}
+        onSwitch={switchLayout}
+        onCreate={createNewLayout}
+        onRename={renameLayout}
+        onDuplicate={duplicateLayout}
+        onDelete={deleteLayout}
+        prices={prices}
+      />
+
+      <AcquisitionModal
+        isOpen={acquisitionOpen}
+        onClose={() => setAcquisitionOpen(false)}
+        grid={grid}
+        prices={priceTable}
+        budget={budget}
+        onBudgetChange={changeBudget}
+        onOpenCell={openAcquisitionCell}
+      />
+
+      <BulkImportModal
+        isOpen={bulkImportOpen}
+        onClose={() => setBulkImportOpen(false)}
+        resolveLink={resolveNftLink}
+        onImport={placeCellsInEmptySlots}
+      />
+
+      <OwnedImportModal
+        isOpen={ownedImportOpen}
+        onClose={() => setOwnedImportOpen(false)}
+        toCell={ownedGiftToCell}
+        onImport={placeCellsInEmptySlots}
+      />
+
+      {arrangeOpen && (
+        <ArrangeModal
+          grid={grid}
+          giftIds={giftIds}
+          onClose={() => setArrangeOpen(false)}
+          onApply={(arranged) => {
+            applyGridChange({ grid: arranged });
+            setArrangeOpen(false);
+          }}
+        />
+      )}
+
+      {bulkEditOpen && (
+        <BulkEditModal
+          onClose={() => setBulkEditOpen(false)}
+          cells={selectedPositions.map(([row, col]) => grid[row][col])}
+          backdrops={backdrops}
+          copiedCell={copiedCell}
+          loadPatterns={loadPatternsForGift}
+          onUpdate={updateSelectedCells}
+          onClear={clearSelectedCells}
+          onPaste={pasteIntoSelectedCells}
+        />
+      )}
+
+      <ShareLinkModal
+        isOpen={shareLinkState.isOpen}
+        onClose={() => setShareLinkState({ isOpen: false, url: '', isTelegramLink: false })}
+        url={shareLinkState.url}
+        isTelegramLink={shareLinkState.isTelegramLink}
+      />
+
+      <ExportImageModal
+        isOpen={exportState.isOpen}
+        onClose={closeExportModal}
+        isRendering={exportState.isRendering}
+        imageUrl={exportState.url}
+        blob={exportState.blob}
+        error={exportState.error}
+        canAnimate={animationEntries.length > 0}
+        onRenderAnimation={renderAnimatedExport}
+      />
+
       <CellModal
         isOpen={modalIsOpen}
         onClose={closeModal}
@@ -1126,6 +1997,10 @@ function App() {
         copiedCell={copiedCell}
         setCopiedCell={setCopiedCell}
         initialData={grid[currentCell.row]?.[currentCell.col] || null}
+        giftIds={giftIds}
+        showRarity={showRarity}
+        showSerial={showSerial}
+        prices={prices}
       />
     </div>
   );
@@ -1148,7 +2023,12 @@ const CellModal = ({
   copiedCell,
   setCopiedCell,
   initialData,
+  giftIds,
+  showRarity,
+  showSerial,
+  prices,
 }) => {
+  const { t } = useI18n();
   const [link, setLink] = useState('');
   const [gift, setGift] = useState('');
   const [model, setModel] = useState('');
@@ -1156,6 +2036,16 @@ const CellModal = ({
   const [pattern, setPattern] = useState('');
   const [text, setText] = useState('');
   const [totalIssued, setTotalIssued] = useState(null);
+  // Attribute rarities in percent (from the NFT page or the API lists)
+  const [rarities, setRarities] = useState({ model: null, backdrop: null, pattern: null });
+  // Serial number and t.me/nft link of the exact NFT (only known when added from a link)
+  const [source, setSource] = useState({ giftNumber: null, link: '' });
+  const [ownership, setOwnership] = useState('placeholder');
+  // Kept as typed, parsed on save
+  const [targetPrice, setTargetPrice] = useState('');
+  // Which picker sheet is open: 'gift' | 'model' | 'backdrop' | 'pattern' | null
+  const [openPicker, setOpenPicker] = useState(null);
+  const [previewPlaying, setPreviewPlaying] = useState(false);
   const [models, setModels] = useState([]);
   const [patterns, setPatterns] = useState([]);
   const [isInitialLoad, setIsInitialLoad] = useState(true);
@@ -1172,11 +2062,21 @@ const CellModal = ({
       setPattern(initialData?.pattern || '');
       setText(initialData?.text || '');
       setTotalIssued(initialData?.totalIssued || null);
+      setRarities({
+        model: initialData?.modelRarity ?? null,
+        backdrop: initialData?.backdropRarity ?? null,
+        pattern: initialData?.patternRarity ?? null,
+      });
+      setSource({ giftNumber: initialData?.giftNumber ?? null, link: initialData?.link || '' });
+      setOwnership(getCellOwnership(initialData) ?? 'placeholder');
+      setTargetPrice(initialData?.targetPrice != null ? String(initialData.targetPrice) : '');
       setModels([]);
       setPatterns([]);
       setIsInitialLoad(true);
       setIsParsingLink(false);
       setParseStatus('');
+      setOpenPicker(null);
+      setPreviewPlaying(false);
       
       // Load models and patterns for existing gift without resetting values
       if (initialData?.gift) {
@@ -1215,6 +2115,8 @@ const CellModal = ({
         setPattern('');
         setBackdrop(null);
         setTotalIssued(null); // Reset totalIssued when gift changes
+        setRarities({ model: null, backdrop: null, pattern: null });
+        setSource({ giftNumber: null, link: '' });
       }
       setIsInitialLoad(false);
       setModels([]);
@@ -1243,7 +2145,7 @@ const CellModal = ({
   const handleLink = async () => {
     const parsed = parseLink(link);
     if (!parsed) {
-      setParseStatus('Неверный формат ссылки');
+      setParseStatus(t('link.invalid'));
       return;
     }
 
@@ -1252,10 +2154,13 @@ const CellModal = ({
     
     // Set the gift name first - this ensures gift is added even if details fetch fails
     setGift(name);
+    setSource({ giftNumber: parseInt(giftNumber, 10), link: `https://t.me/nft/${slug}-${giftNumber}` });
+    // A pasted NFT link is usually one of our own gifts
+    setOwnership('owned');
     setModels([]);
     setPatterns([]);
     setIsInitialLoad(false);
-    setParseStatus(`Подарок "${name}" добавлен. Загрузка деталей...`);
+    setParseStatus(t('cellModal.giftAddedLoading', { name }));
     
     // Load models and patterns for the gift
     await loadModelsAndPatterns(name);
@@ -1274,10 +2179,17 @@ const CellModal = ({
           setTotalIssued(details.totalIssued);
         }
         
+        // Keep the rarity percentages shown on the NFT page
+        setRarities({
+          model: details.modelRarity ?? null,
+          backdrop: details.backdropRarity ?? null,
+          pattern: details.patternRarity ?? null,
+        });
+        
         // Set model if found and exists in models list
         if (details.model) {
           setModel(details.model);
-          setParseStatus(`Подарок "${name}" добавлен. Модель: ${details.model}`);
+          setParseStatus(t('cellModal.giftAddedModel', { name, model: details.model }));
           // Prefetch animation
           prefetchAnimation(name, details.model);
         }
@@ -1289,35 +2201,79 @@ const CellModal = ({
         
         // Set backdrop if found - need to find matching backdrop from backdrops list
         if (details.backdrop) {
-          const matchingBackdrop = backdrops.find(b => 
-            b.name.toLowerCase() === details.backdrop.toLowerCase() ||
-            b.name.toLowerCase().includes(details.backdrop.toLowerCase()) ||
-            details.backdrop.toLowerCase().includes(b.name.toLowerCase())
-          );
+          const matchingBackdrop = findBackdropByName(backdrops, details.backdrop);
           if (matchingBackdrop) {
             setBackdrop(matchingBackdrop);
-            setParseStatus(prev => prev + `, фон: ${matchingBackdrop.name}`);
+            setParseStatus(prev => prev + t('cellModal.backdropSuffix', { backdrop: matchingBackdrop.name }));
           }
         }
         
         if (!details.model && !details.pattern && !details.backdrop) {
-          setParseStatus(`Подарок "${name}" добавлен (базовый, без улучшений)`);
+          setParseStatus(t('cellModal.giftAddedBase', { name }));
         }
       } else {
         // Gift is still added, just couldn't get extra details
-        setParseStatus(`Подарок "${name}" добавлен. Детали NFT недоступны.`);
+        setParseStatus(t('cellModal.giftAddedNoDetails', { name }));
       }
     } catch (error) {
       console.error('[handleLink] Error fetching details:', error);
       // Gift is still added, just couldn't get extra details
-      setParseStatus(`Подарок "${name}" добавлен. Ошибка загрузки деталей.`);
+      setParseStatus(t('cellModal.giftAddedError', { name }));
     } finally {
       setIsParsingLink(false);
     }
   };
 
+  const handleModelChange = async (newModel) => {
+    setModel(newModel);
+    setRarities(prev => ({ ...prev, model: rarityPermilleToPercent(models.find(m => m.name === newModel)) }));
+    // Prefetch animation when model is selected for instant playback later
+    if (newModel && gift) {
+      prefetchAnimation(gift, newModel);
+      
+      // Auto-fetch totalIssued for manual model selection
+      // Use fake link with number 1 to get total issued count
+      if (!totalIssued) {
+        // Get gift name without spaces for URL slug
+        const slugForUrl = gift.replace(/ /g, '');
+        console.log('[CellModal] Auto-fetching totalIssued for manually selected model:', { gift, model: newModel, slugForUrl });
+        
+        try {
+          const details = await fetchNftDetails(slugForUrl, '1');
+          if (details && details.totalIssued) {
+            setTotalIssued(details.totalIssued);
+            console.log('[CellModal] Auto-fetched totalIssued:', details.totalIssued);
+          }
+        } catch (error) {
+          console.warn('[CellModal] Failed to auto-fetch totalIssued:', error);
+        }
+      }
+    }
+  };
+
+  const handleBackdropChange = (name) => {
+    const selected = backdrops.find(b => b.name === name);
+    setBackdrop(selected || null);
+    setRarities(prev => ({ ...prev, backdrop: rarityPermilleToPercent(selected) }));
+  };
+
+  const handlePatternChange = (newPattern) => {
+    setPattern(newPattern);
+    setRarities(prev => ({ ...prev, pattern: rarityPermilleToPercent(patterns.find(p => p.name === newPattern)) }));
+  };
+
   const copyCell = () => {
-    setCopiedCell({ gift, model, backdrop, pattern, text });
+    setCopiedCell({
+      gift,
+      model,
+      backdrop,
+      pattern,
+      text,
+      totalIssued,
+      modelRarity: rarities.model,
+      backdropRarity: rarities.backdrop,
+      patternRarity: rarities.pattern,
+    });
   };
 
   const pasteCell = () => {
@@ -1327,6 +2283,14 @@ const CellModal = ({
       setBackdrop(copiedCell.backdrop);
       setPattern(copiedCell.pattern);
       setText(copiedCell.text || '');
+      setTotalIssued(copiedCell.totalIssued || null);
+      // A pasted look is not the same NFT - drop the serial
+      setSource({ giftNumber: null, link: '' });
+      setRarities({
+        model: copiedCell.modelRarity ?? null,
+        backdrop: copiedCell.backdropRarity ?? null,
+        pattern: copiedCell.patternRarity ?? null,
+      });
       setModels([]);
       setPatterns([]);
       if (copiedCell.gift) {
@@ -1335,23 +2299,60 @@ const CellModal = ({
     }
   };
 
+  // The cell as it will be saved - also drives the live preview
+  const draftCell = {
+    gift,
+    model,
+    backdrop,
+    pattern,
+    totalIssued,
+    text,
+    modelRarity: model ? rarities.model : null,
+    backdropRarity: backdrop ? rarities.backdrop ?? rarityPermilleToPercent(backdrop) : null,
+    patternRarity: pattern ? rarities.pattern : null,
+    giftNumber: source.giftNumber,
+    link: source.link,
+    ownership,
+    targetPrice: ownership === 'wanted' ? parseTargetPrice(targetPrice) : null,
+  };
+
   const handleSave = () => {
-    onSave({ gift, model, backdrop, pattern, totalIssued, text });
+    onSave(draftCell);
   };
 
   return (
-    <Suspense fallback={<div style={{ padding: '20px', textAlign: 'center' }}>Загрузка...</div>}>
+    <Suspense fallback={<div style={{ padding: '20px', textAlign: 'center' }}>{t('common.loading')}</div>}>
       <Modal isOpen={isOpen} onRequestClose={onClose}>
-        <h2>Настройка ячейки</h2>
+        <h2>{t('cellModal.title')}</h2>
+        {gift && (
+          <div className="cell-preview">
+            <div className="cell" style={{ background: getCellBackground(draftCell) }}>
+              <CellContent
+                cell={draftCell}
+                cellId="preview"
+                isPlaying={previewPlaying}
+                animationMode
+                giftIds={giftIds}
+                imageLoadReady
+                showRarity={showRarity}
+                showSerial={showSerial}
+                prices={prices}
+              />
+            </div>
+            <button type="button" className="cell-preview-toggle" onClick={() => setPreviewPlaying(!previewPlaying)}>
+              {previewPlaying ? t('cellModal.stopPreview') : t('cellModal.playPreview')}
+            </button>
+          </div>
+        )}
         <input value={link} onChange={(e) => setLink(e.target.value)} placeholder="t.me/nft/Name-123" />
         <button onClick={handleLink} disabled={isParsingLink}>
-          {isParsingLink ? 'Загрузка...' : 'Распознать ссылку'}
+          {isParsingLink ? t('common.loading') : t('cellModal.parseLink')}
         </button>
         {parseStatus && (
           <div style={{ 
             marginTop: '8px', 
             padding: '8px', 
-            backgroundColor: 'rgba(100, 100, 255, 0.1)', 
+            backgroundColor: 'var(--info-bg)', 
             borderRadius: '4px',
             fontSize: '12px'
           }}>
@@ -1359,85 +2360,1039 @@ const CellModal = ({
           </div>
         )}
 
-        <select value={gift} onChange={(e) => handleGiftChange(e.target.value)}>
-          <option value="">Выберите подарок</option>
-          {gifts.map((g) => <option key={g} value={g}>{g}</option>)}
-        </select>
+        <PickerField
+          placeholder={t('cellModal.selectGift')}
+          label={gift}
+          thumb={gift ? <PickerImage src={getGiftImageUrl(gift, null, giftIds, PICKER_THUMB_SIZE)} /> : null}
+          onClick={() => setOpenPicker('gift')}
+        />
 
         {gift && (
           <>
-            <select value={model} onChange={async (e) => {
-              const newModel = e.target.value;
-              setModel(newModel);
-              // Prefetch animation when model is selected for instant playback later
-              if (newModel && gift) {
-                prefetchAnimation(gift, newModel);
-                
-                // Auto-fetch totalIssued for manual model selection
-                // Use fake link with number 1 to get total issued count
-                if (!totalIssued) {
-                  // Get gift name without spaces for URL slug
-                  const slugForUrl = gift.replace(/ /g, '');
-                  console.log('[CellModal] Auto-fetching totalIssued for manually selected model:', { gift, model: newModel, slugForUrl });
-                  
-                  try {
-                    const details = await fetchNftDetails(slugForUrl, '1');
-                    if (details && details.totalIssued) {
-                      setTotalIssued(details.totalIssued);
-                      console.log('[CellModal] Auto-fetched totalIssued:', details.totalIssued);
-                    }
-                  } catch (error) {
-                    console.warn('[CellModal] Failed to auto-fetch totalIssued:', error);
-                  }
-                }
-              }
-            }}>
-              <option value="">Выберите модель</option>
-              {models.map((m) => (
-                <option key={m.name} value={m.name}>{m.name} ({(m.rarityPermille / 10).toFixed(1)}‰)</option>
+            <PickerField
+              placeholder={t('cellModal.selectModel')}
+              label={model}
+              thumb={model ? <PickerImage src={getGiftImageUrl(gift, model, giftIds, PICKER_THUMB_SIZE)} /> : null}
+              onClick={() => setOpenPicker('model')}
+            />
+
+            <PickerField
+              placeholder={t('cellModal.selectBackdrop')}
+              label={backdrop?.name}
+              thumb={backdrop ? <BackdropSwatch backdrop={backdrop} /> : null}
+              onClick={() => setOpenPicker('backdrop')}
+            />
+
+            <PickerField
+              placeholder={t('cellModal.selectPattern')}
+              label={pattern}
+              thumb={pattern ? <PickerImage src={getPatternImageUrl(gift, pattern, PICKER_THUMB_SIZE)} /> : null}
+              onClick={() => setOpenPicker('pattern')}
+            />
+
+            <input
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder={t('cellModal.textPlaceholder')}
+              maxLength={50}
+            />
+
+            <div className="columns-picker ownership-picker" role="radiogroup" aria-label={t('ownership.title')}>
+              <span className="columns-picker-label">{t('ownership.label')}</span>
+              {OWNERSHIP_STATES.map((state) => (
+                <button
+                  key={state}
+                  type="button"
+                  role="radio"
+                  aria-checked={state === ownership}
+                  className={`columns-picker-option${state === ownership ? ' columns-picker-option-active' : ''}`}
+                  onClick={() => setOwnership(state)}
+                >
+                  {t(`ownership.${state}`)}
+                </button>
               ))}
-            </select>
-
-            <select
-              value={backdrop?.name || ''}
-              onChange={(e) => {
-                const selected = backdrops.find(b => b.name === e.target.value);
-                setBackdrop(selected || null);
-              }}
+            </div>
+            {ownership === 'wanted' && (
+              <input
+                value={targetPrice}
+                onChange={(e) => setTargetPrice(e.target.value)}
+                placeholder={t('ownership.targetPlaceholder', { currency: prices?.currency ?? DEFAULT_CURRENCY })}
+                inputMode="decimal"
+              />
+            )}
+          </>
+        )}
+
+        {openPicker === 'gift' && (
+          <PickerSheet
+            title={t('common.gift')}
+            items={gifts.map((g) => ({
+              key: g,
+              label: g,
+              thumb: <PickerImage src={getGiftImageUrl(g, null, giftIds, PICKER_THUMB_SIZE)} />,
+            }))}
+            selectedKey={gift}
+            onSelect={(key) => handleGiftChange(key)}
+            onClose={() => setOpenPicker(null)}
+          />
+        )}
+        {openPicker === 'model' && (
+          <PickerSheet
+            title={t('common.model')}
+            items={models.map((m) => ({
+              key: m.name,
+              label: m.name,
+              rarityPermille: m.rarityPermille,
+              thumb: <PickerImage src={getGiftImageUrl(gift, m.name, giftIds, PICKER_THUMB_SIZE)} />,
+            }))}
+            selectedKey={model}
+            onSelect={handleModelChange}
+            onClose={() => setOpenPicker(null)}
+            noneLabel={t('cellModal.noModel')}
+          />
+        )}
+        {openPicker === 'backdrop' && (
+          <PickerSheet
+            title={t('common.backdrop')}
+            items={backdrops.map((b) => ({
+              key: b.name,
+              label: b.name,
+              rarityPermille: b.rarityPermille,
+              thumb: <BackdropSwatch backdrop={b} />,
+            }))}
+            selectedKey={backdrop?.name || ''}
+            onSelect={handleBackdropChange}
+            onClose={() => setOpenPicker(null)}
+            noneLabel={t('cellModal.noBackdrop')}
+          />
+        )}
+        {openPicker === 'pattern' && (
+          <PickerSheet
+            title={t('common.pattern')}
+            items={patterns.map((p) => ({
+              key: p.name,
+              label: p.name,
+              rarityPermille: p.rarityPermille,
+              thumb: <PickerImage src={getPatternImageUrl(gift, p.name, PICKER_THUMB_SIZE)} />,
+            }))}
+            selectedKey={pattern}
+            onSelect={handlePatternChange}
+            onClose={() => setOpenPicker(null)}
+            noneLabel={t('cellModal.noPattern')}
+          />
+        )}
+
+        {source.link && (
+          <button onClick={() => openTelegramLink(source.link)}>
+            {t('cellModal.openInTelegram', { number: source.giftNumber })}
+          </button>
+        )}
+        <button onClick={copyCell}>{t('common.copy')}</button>
+        <button onClick={pasteCell}>{t('common.paste')}</button>
+        <button onClick={handleSave}>{t('common.save')}</button>
+        <button onClick={onClose}>{t('common.cancel')}</button>
+      </Modal>
+    </Suspense>
+  );
+};
+
+// LayoutManagerModal - create, rename, duplicate, delete and switch named layouts
+const LayoutManagerModal = ({
+  isOpen,
+  onClose,
+  layouts,
+  activeLayoutId,
+  onSwitch,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+  prices,
+}) => {
+  const { t, language } = useI18n();
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+
+  const handleCreate = () => {
+    const name = newName.trim() || t('layouts.numberedName', { number: layouts.length + 1 });
+    onCreate(name);
+    setNewName('');
+  };
+
+  const startRename = (layout) => {
+    setEditingId(layout.id);
+    setEditingName(getLayoutName(layout, t));
+  };
+
+  const commitRename = () => {
+    const name = editingName.trim();
+    const layout = layouts.find((item) => item.id === editingId);
+    // Confirming the shown default name keeps the layout unnamed (it follows the UI language)
+    if (name && layout && name !== getLayoutName(layout, t)) onRename(editingId, name);
+    setEditingId(null);
+  };
+
+  const countFilled = (layout) => layout.grid.flat().filter(Boolean).length;
+
+  // Appended to the meta line while prices are shown
+  const formatLayoutValue = (layout) => {
+    if (!prices) return '';
+    const { total, priced } = getGridValue(layout.grid, prices);
+    return priced > 0 ? ` · ${t('layouts.value', { value: formatPrice(total, prices.currency, language) })}` : '';
+  };
+
+  return (
+    <Suspense fallback={null}>
+      <Modal isOpen={isOpen} onRequestClose={onClose}>
+        <h2>{t('layouts.title')}</h2>
+        <ul className="layout-list">
+          {layouts.map((layout) => (
+            <li
+              key={layout.id}
+              className={`layout-item${layout.id === activeLayoutId ? ' layout-item-active' : ''}`}
             >
-              <option value="">Выберите фон</option>
-              {backdrops.map((b) => (
-                <option key={b.name} value={b.name}>
-                  {b.name}
-                </option>
+              {editingId === layout.id ? (
+                <input
+                  value={editingName}
+                  onChange={(e) => setEditingName(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && commitRename()}
+                  onBlur={commitRename}
+                  maxLength={40}
+                  autoFocus
+                />
+              ) : (
+                <button className="layout-name" onClick={() => onSwitch(layout.id)}>
+                  {getLayoutName(layout, t)}
+                  <span className="layout-meta">
+                    {t('layouts.meta', {
+                      rows: layout.rows,
+                      columns: getColumnCount(layout.grid),
+                      gifts: t('count.gifts', { count: countFilled(layout) }),
+                    })}
+                    {formatLayoutValue(layout)}
+                  </span>
+                </button>
+              )}
+              <div className="layout-actions">
+                <button onClick={() => startRename(layout)} title={t('layouts.rename')}>✎</button>
+                <button onClick={() => onDuplicate(layout.id)} title={t('layouts.duplicate')}>⧉</button>
+                <button
+                  onClick={() => onDelete(layout.id)}
+                  disabled={layouts.length <= 1}
+                  title={t('layouts.delete')}
+                >
+                  ✕
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder={t('layouts.newPlaceholder')}
+          maxLength={40}
+        />
+        <button onClick={handleCreate}>{t('layouts.create')}</button>
+        <button onClick={onClose}>{t('common.close')}</button>
+      </Modal>
+    </Suspense>
+  );
+};
+
+const BULK_IMPORT_STATUS_LABELS = {
+  full: '✓',
+  partial: '◐',
+  failed: '✕',
+};
+
+// BulkImportModal - paste many t.me/nft links, resolve them in parallel and fill empty cells
+const BulkImportModal = ({ isOpen, onClose, resolveLink, onImport }) => {
+  const { t } = useI18n();
+  const [text, setText] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [isImporting, setIsImporting] = useState(false);
+  const [summary, setSummary] = useState('');
+
+  const updateEntry = (index, changes) => {
+    setEntries(prev => prev.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+  };
+
+  const handleImport = async () => {
+    const links = text.split('\n').map(line => line.trim()).filter(Boolean);
+    if (links.length === 0) return;
+
+    setIsImporting(true);
+    setSummary('');
+    setEntries(links.map(link => ({ link, status: 'pending', message: '' })));
+
+    const results = await mapWithConcurrency(links, BULK_IMPORT_CONCURRENCY, async (link, index) => {
+      updateEntry(index, { status: 'loading' });
+      try {
+        const result = await resolveLink(link);
+        updateEntry(index, { status: result.status, message: result.message });
+        return result;
+      } catch (error) {
+        console.error('[BulkImportModal] Failed to resolve link:', link, error);
+        updateEntry(index, { status: 'failed', message: t('import.loadError') });
+        return { status: 'failed', cell: null };
+      }
+    });
+
+    const resolved = results.filter(result => result.cell);
+    const placed = onImport(resolved.map(result => result.cell));
+    // Links that resolved but didn't fit
+    resolved.slice(placed).forEach((result) => {
+      const index = results.indexOf(result);
+      updateEntry(index, { status: 'failed', message: t('import.noFreeCells') });
+    });
+
+    const failed = links.length - placed;
+    setSummary(
+      t('import.summary', { placed, total: links.length }) +
+      (failed > 0 ? t('import.summaryFailed', { failed }) : '')
+    );
+    setIsImporting(false);
+  };
+
+  const handleClose = () => {
+    if (isImporting) return;
+    setText('');
+    setEntries([]);
+    setSummary('');
+    onClose();
+  };
+
+  return (
+    <Suspense fallback={null}>
+      <Modal isOpen={isOpen} onRequestClose={handleClose}>
+        <h2>{t('import.title')}</h2>
+        <textarea
+          className="bulk-import-input"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={'t.me/nft/Name-123\nt.me/nft/Name-456'}
+          rows={6}
+          disabled={isImporting}
+        />
+        {entries.length > 0 && (
+          <ul className="bulk-import-list">
+            {entries.map((entry, index) => (
+              <li key={index} className={`bulk-import-item bulk-import-${entry.status}`}>
+                <span className="bulk-import-status">{BULK_IMPORT_STATUS_LABELS[entry.status] ?? t(`import.status.${entry.status}`)}</span>
+                <span className="bulk-import-link">{entry.link}</span>
+                {entry.message && <span className="bulk-import-message">{entry.message}</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+        {summary && <div className="export-status">{summary}</div>}
+        <button onClick={handleImport} disabled={isImporting || !text.trim()}>
+          {isImporting ? t('common.loading') : t('import.submit')}
+        </button>
+        <button onClick={handleClose} disabled={isImporting}>{t('common.close')}</button>
+      </Modal>
+    </Suspense>
+  );
+};
+
+// OwnedImportModal - load owned gifts from a JSON export or a profile / channel page, then pick which to place
+const OwnedImportModal = ({ isOpen, onClose, toCell, onImport }) => {
+  const { t } = useI18n();
+  const [text, setText] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [selected, setSelected] = useState({}); // entry index -> true
+  const [isBusy, setIsBusy] = useState(false);
+  const [status, setStatus] = useState('');
+
+  const selectedEntries = entries.filter((_, index) => selected[index]);
+
+  const selectAll = (checked) => {
+    setSelected(checked ? Object.fromEntries(entries.map((_, index) => [index, true])) : {});
+  };
+
+  const toggleEntry = (index) => {
+    setSelected(prev => ({ ...prev, [index]: !prev[index] }));
+  };
+
+  const handleLoad = async () => {
+    const profileUrl = normalizeProfileUrl(text);
+    setIsBusy(true);
+    setStatus('');
+    setEntries([]);
+    setSelected({});
+    try {
+      const { entries: loaded, skipped } = profileUrl
+        ? parseProfilePage(await fetchProfilePage(profileUrl))
+        : parseOwnedGiftsJson(text);
+      setEntries(loaded);
+      setSelected(Object.fromEntries(loaded.map((_, index) => [index, true])));
+      setStatus(loaded.length === 0
+        ? t('ownedImport.nothingFound')
+        : t('ownedImport.found', { gifts: t('count.gifts', { count: loaded.length }) }) +
+          (skipped > 0 ? t('ownedImport.skipped', { count: skipped }) : ''));
+    } catch (error) {
+      console.warn('[OwnedImportModal] Failed to load gifts:', error);
+      setStatus(profileUrl ? t('ownedImport.loadError') : t('ownedImport.invalid'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handlePlace = async () => {
+    setIsBusy(true);
+    setStatus(t('common.loading'));
+    const cells = await mapWithConcurrency(selectedEntries, BULK_IMPORT_CONCURRENCY, toCell);
+    const placed = onImport(cells.filter(Boolean));
+    const failed = selectedEntries.length - placed;
+    // Placed gifts leave the list, so pressing the button again can't add them twice
+    setEntries([]);
+    setSelected({});
+    setStatus(
+      t('import.summary', { placed, total: selectedEntries.length }) +
+      (failed > 0 ? t('import.summaryFailed', { failed }) : '')
+    );
+    setIsBusy(false);
+  };
+
+  const handleClose = () => {
+    if (isBusy) return;
+    setText('');
+    setEntries([]);
+    setSelected({});
+    setStatus('');
+    onClose();
+  };
+
+  return (
+    <Suspense fallback={null}>
+      <Modal isOpen={isOpen} onRequestClose={handleClose}>
+        <h2>{t('ownedImport.title')}</h2>
+        <div className="bulk-edit-note">{t('ownedImport.hint')}</div>
+        <textarea
+          className="bulk-import-input"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={t('ownedImport.placeholder')}
+          rows={4}
+          disabled={isBusy}
+        />
+        <button onClick={handleLoad} disabled={isBusy || !text.trim()}>
+          {t('ownedImport.load')}
+        </button>
+        {entries.length > 0 && (
+          <>
+            <div className="owned-import-toolbar">
+              <button onClick={() => selectAll(true)} disabled={isBusy}>{t('selection.all')}</button>
+              <button onClick={() => selectAll(false)} disabled={isBusy}>{t('ownedImport.none')}</button>
+            </div>
+            <ul className="bulk-import-list">
+              {entries.map((entry, index) => (
+                <li key={entry.link || index} className="bulk-import-item">
+                  <label className="display-option owned-import-option">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(selected[index])}
+                      onChange={() => toggleEntry(index)}
+                      disabled={isBusy}
+                    />
+                    {entry.number ? `${entry.gift} #${entry.number}` : entry.gift}
+                  </label>
+                  <span className="layout-meta">
+                    {[entry.model, entry.backdrop, entry.pattern].filter(Boolean).join(' · ')}
+                  </span>
+                </li>
               ))}
-            </select>
+            </ul>
+          </>
+        )}
+        {status && <div className="export-status">{status}</div>}
+        {entries.length > 0 && (
+          <button onClick={handlePlace} disabled={isBusy || selectedEntries.length === 0}>
+            {t('ownedImport.place', { count: selectedEntries.length })}
+          </button>
+        )}
+        <button onClick={handleClose} disabled={isBusy}>{t('common.close')}</button>
+      </Modal>
+    </Suspense>
+  );
+};
+
+// ArrangeModal - pick an auto-arrange strategy, preview the result, then apply it as one undo step
+const ArrangeModal = ({ grid, giftIds, onClose, onApply }) => {
+  const { t } = useI18n();
+  const [strategy, setStrategy] = useState(ARRANGE_STRATEGIES[0]);
+  const [checkerBackdrops, setCheckerBackdrops] = useState(() => getTopBackdropNames(grid));
+
+  const backdropNames = useMemo(() => (
+    [...new Set(grid.flat().map((cell) => cell?.backdrop?.name).filter(Boolean))]
+  ), [grid]);
+
+  const arranged = useMemo(
+    () => arrangeGrid(grid, strategy, { backdrops: checkerBackdrops }),
+    [grid, strategy, checkerBackdrops],
+  );
+
+  const setCheckerBackdrop = (index, name) => {
+    setCheckerBackdrops((prev) => {
+      const next = [...prev];
+      next[index] = name;
+      return next;
+    });
+  };
 
-        <select value={pattern} onChange={(e) => setPattern(e.target.value)}>
-          <option value="">Выберите паттерн</option>
-          {patterns.map((p) => (
-            <option key={p.name} value={p.name}>{p.name} ({(p.rarityPermille / 10).toFixed(1)}‰)</option>
+  return (
+    <Suspense fallback={null}>
+      <Modal isOpen onRequestClose={onClose}>
+        <h2>{t('arrange.title')}</h2>
+        <div className="arrange-strategies" role="radiogroup">
+          {ARRANGE_STRATEGIES.map((option) => (
+            <label key={option} className="arrange-strategy">
+              <input
+                type="radio"
+                name="arrange-strategy"
+                checked={strategy === option}
+                onChange={() => setStrategy(option)}
+              />
+              {t(`arrange.strategy.${option}`)}
+            </label>
           ))}
-        </select>
+        </div>
+
+        {strategy === 'checkerboard' && (
+          backdropNames.length < 2 ? (
+            <div className="bulk-edit-note">{t('arrange.needTwoBackdrops')}</div>
+          ) : (
+            [0, 1].map((index) => (
+              <select
+                key={index}
+                value={checkerBackdrops[index] || ''}
+                onChange={(e) => setCheckerBackdrop(index, e.target.value)}
+              >
+                <option value="">{index === 0 ? t('arrange.firstBackdrop') : t('arrange.secondBackdrop')}</option>
+                {backdropNames.map((name) => <option key={name} value={name}>{name}</option>)}
+              </select>
+            ))
+          )
+        )}
+
+        <div className="arrange-preview" style={{ '--grid-columns': getColumnCount(arranged) }}>
+          {arranged.flat().map((cell, index) => {
+            const imageUrl = cell?.gift ? getGiftImageUrl(cell.gift, cell.model, giftIds, PICKER_THUMB_SIZE) : null;
+            return (
+              <div key={index} className="arrange-preview-cell" style={{ background: getCellBackground(cell) }}>
+                {imageUrl && <img src={imageUrl} alt="" loading="lazy" decoding="async" />}
+              </div>
+            );
+          })}
+        </div>
+
+        <button onClick={() => onApply(arranged)}>{t('common.apply')}</button>
+        <button onClick={onClose}>{t('common.cancel')}</button>
+      </Modal>
+    </Suspense>
+  );
+};
+
+// BulkEditModal - apply one backdrop / pattern / text to all selected cells, clear them or paste the copied cell
+const BulkEditModal = ({ onClose, cells, backdrops, copiedCell, loadPatterns, onUpdate, onClear, onPaste }) => {
+  const { t } = useI18n();
+  const [openPicker, setOpenPicker] = useState(null);
+  const [patternLists, setPatternLists] = useState(null); // gift -> patterns
+  const [isLoadingPatterns, setIsLoadingPatterns] = useState(false);
+  const [text, setText] = useState('');
+
+  // Backdrop, pattern and text only make sense on cells that hold a gift
+  const selectedGifts = [...new Set(cells.filter((cell) => cell?.gift).map((cell) => cell.gift))];
+  const filledCount = cells.filter((cell) => cell?.gift).length;
+
+  const openPatternPicker = async () => {
+    setIsLoadingPatterns(true);
+    const lists = await Promise.all(selectedGifts.map(loadPatterns));
+    setPatternLists(Object.fromEntries(selectedGifts.map((gift, i) => [gift, lists[i]])));
+    setIsLoadingPatterns(false);
+    setOpenPicker('pattern');
+  };
+
+  // Only patterns that every selected gift has
+  const commonPatterns = patternLists
+    ? (patternLists[selectedGifts[0]] || []).filter((pattern) => (
+      selectedGifts.every((gift) => patternLists[gift]?.some((p) => p.name === pattern.name))
+    ))
+    : [];
+
+  const applyBackdrop = (name) => {
+    const selected = backdrops.find((b) => b.name === name) || null;
+    onUpdate((cell) => (cell?.gift
+      ? { ...cell, backdrop: selected, backdropRarity: rarityPermilleToPercent(selected) }
+      : cell));
+  };
+
+  const applyPattern = (name) => {
+    onUpdate((cell) => (cell?.gift
+      ? {
+        ...cell,
+        pattern: name,
+        patternRarity: rarityPermilleToPercent(patternLists[cell.gift]?.find((p) => p.name === name)),
+      }
+      : cell));
+  };
+
+  const applyText = () => {
+    onUpdate((cell) => (cell?.gift ? { ...cell, text: text.trim() } : cell));
+  };
 
+  const applyOwnership = (state) => {
+    onUpdate((cell) => (cell?.gift
+      ? { ...cell, ownership: state, targetPrice: state === 'wanted' ? cell.targetPrice ?? null : null }
+      : cell));
+  };
+
+  return (
+    <Suspense fallback={null}>
+      <Modal isOpen onRequestClose={onClose}>
+        <h2>{t('bulkEdit.title', { cells: t('count.cells', { count: cells.length }) })}</h2>
+        {filledCount < cells.length && (
+          <div className="bulk-edit-note">{t('bulkEdit.note')}</div>
+        )}
+        <button onClick={() => setOpenPicker('backdrop')} disabled={filledCount === 0}>
+          {t('bulkEdit.backdrop')}
+        </button>
+        <button onClick={openPatternPicker} disabled={filledCount === 0 || isLoadingPatterns}>
+          {isLoadingPatterns ? t('common.loading') : t('bulkEdit.pattern')}
+        </button>
         <input
           value={text}
           onChange={(e) => setText(e.target.value)}
-          placeholder="Добавьте текст"
+          placeholder={t('bulkEdit.textPlaceholder')}
           maxLength={50}
         />
-          </>
+        <button onClick={applyText} disabled={filledCount === 0}>{t('bulkEdit.applyText')}</button>
+        <div className="columns-picker ownership-picker" role="radiogroup" aria-label={t('ownership.title')}>
+          <span className="columns-picker-label">{t('ownership.label')}</span>
+          {OWNERSHIP_STATES.map((state) => (
+            <button
+              key={state}
+              role="radio"
+              aria-checked={false}
+              className="columns-picker-option"
+              onClick={() => applyOwnership(state)}
+              disabled={filledCount === 0}
+            >
+              {t(`ownership.${state}`)}
+            </button>
+          ))}
+        </div>
+        <button onClick={onPaste} disabled={!copiedCell}>
+          {copiedCell ? t('bulkEdit.paste', { gift: copiedCell.gift }) : t('bulkEdit.nothingCopied')}
+        </button>
+        <button onClick={onClear}>{t('bulkEdit.clear')}</button>
+        <button onClick={onClose}>{t('common.cancel')}</button>
+
+        {openPicker === 'backdrop' && (
+          <PickerSheet
+            title={t('common.backdrop')}
+            items={backdrops.map((b) => ({
+              key: b.name,
+              label: b.name,
+              rarityPermille: b.rarityPermille,
+              thumb: <BackdropSwatch backdrop={b} />,
+            }))}
+            selectedKey={null}
+            onSelect={applyBackdrop}
+            onClose={() => setOpenPicker(null)}
+            noneLabel={t('cellModal.noBackdrop')}
+          />
+        )}
+        {openPicker === 'pattern' && (
+          <PickerSheet
+            title={selectedGifts.length > 1 ? t('bulkEdit.commonPatterns') : t('common.pattern')}
+            items={commonPatterns.map((p) => ({
+              key: p.name,
+              label: p.name,
+              rarityPermille: p.rarityPermille,
+              thumb: <PickerImage src={getPatternImageUrl(selectedGifts[0], p.name, PICKER_THUMB_SIZE)} />,
+            }))}
+            selectedKey={null}
+            onSelect={applyPattern}
+            onClose={() => setOpenPicker(null)}
+            noneLabel={t('cellModal.noPattern')}
+          />
+        )}
+      </Modal>
+    </Suspense>
+  );
+};
+
+// AcquisitionModal - cells marked "to buy" in reading order with a running total against the budget
+const AcquisitionModal = ({ isOpen, onClose, grid, prices, budget, onBudgetChange, onOpenCell }) => {
+  const { t, language } = useI18n();
+  const { items, total, unpriced } = useMemo(() => getAcquisitionList(grid, prices), [grid, prices]);
+  const currency = prices?.currency ?? DEFAULT_CURRENCY;
+  const budgetValue = parseTargetPrice(budget);
+  const format = (value) => formatPrice(value, currency, language);
+
+  const formatItemPrice = (item) => {
+    if (item.price === null) return '—';
+    return item.priceSource === 'floor' ? `≈ ${format(item.price)}` : format(item.price);
+  };
+
+  return (
+    <Suspense fallback={null}>
+      <Modal isOpen={isOpen} onRequestClose={onClose}>
+        <h2>{t('acquisition.title')}</h2>
+        <input
+          value={budget}
+          onChange={(e) => onBudgetChange(e.target.value)}
+          placeholder={t('acquisition.budgetPlaceholder', { currency })}
+          inputMode="decimal"
+        />
+        {items.length === 0 ? (
+          <div className="bulk-edit-note">{t('acquisition.empty')}</div>
+        ) : (
+          <ul className="acquisition-list">
+            {items.map((item) => {
+              // Items past the budget are the ones it doesn't cover yet
+              const overBudget = budgetValue !== null && item.price !== null && item.runningTotal > budgetValue;
+              return (
+                <li
+                  key={`${item.row}-${item.col}`}
+                  className={overBudget ? 'acquisition-item acquisition-item-over' : 'acquisition-item'}
+                >
+                  <button className="acquisition-name" onClick={() => onOpenCell(item.row, item.col)}>
+                    {item.cell.model ? `${item.cell.gift} · ${item.cell.model}` : item.cell.gift}
+                    <span className="layout-meta">
+                      {t('acquisition.position', { row: item.row + 1, column: item.col + 1 })}
+                    </span>
+                  </button>
+                  <span className="acquisition-price">{formatItemPrice(item)}</span>
+                  <span className="acquisition-running" title={t('acquisition.runningTitle')}>
+                    {format(item.runningTotal)}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
         )}
+        <div className="export-status">
+          {t('acquisition.total', { value: format(total), gifts: t('count.gifts', { count: items.length }) })}
+          {unpriced > 0 && ` · ${t('acquisition.unpriced', { count: unpriced })}`}
+          {budgetValue !== null && ` · ${total <= budgetValue
+            ? t('acquisition.left', { value: format(budgetValue - total) })
+            : t('acquisition.over', { value: format(total - budgetValue) })}`}
+        </div>
+        <button onClick={onClose}>{t('common.close')}</button>
+      </Modal>
+    </Suspense>
+  );
+};
+
+// ShareLinkModal - show a layout link with copy / send-to-Telegram actions
+const ShareLinkModal = ({ isOpen, onClose, url, isTelegramLink }) => {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch (error) {
+      console.warn('[ShareLinkModal] Clipboard write failed:', error);
+    }
+  };
+
+  const handleSendToTelegram = () => {
+    openTelegramLink(`https://t.me/share/url?url=${encodeURIComponent(url)}&text=${encodeURIComponent(t('share.message'))}`);
+  };
+
+  const handleClose = () => {
+    setCopied(false);
+    onClose();
+  };
 
-        <button onClick={copyCell}>Копировать</button>
-        <button onClick={pasteCell}>Вставить</button>
-        <button onClick={handleSave}>Сохранить</button>
-        <button onClick={onClose}>Отмена</button>
+  return (
+    <Suspense fallback={null}>
+      <Modal isOpen={isOpen} onRequestClose={handleClose}>
+        <h2>{t('share.title')}</h2>
+        <input value={url} readOnly onFocus={(e) => e.target.select()} />
+        {!isTelegramLink && (
+          <div className="export-status">
+            {t('share.webLinkWarning')}
+          </div>
+        )}
+        <button onClick={handleCopy}>{copied ? t('share.copied') : t('common.copy')}</button>
+        <button onClick={handleSendToTelegram}>{t('share.sendToTelegram')}</button>
+        <button onClick={handleClose}>{t('common.close')}</button>
       </Modal>
     </Suspense>
   );
 };
 
+const EXPORT_FILE_BASE_NAME = 'nft-gift-plan';
+const EXPORT_FILE_NAME = `${EXPORT_FILE_BASE_NAME}.png`;
+
+// ExportImageModal - preview of the exported grid with download / share actions,
+// plus an animated version (WebP or video) rendered on request with a size / frame-rate choice
+const ExportImageModal = ({ isOpen, onClose, isRendering, imageUrl, blob, error, canAnimate, onRenderAnimation }) => {
+  const { t } = useI18n();
+  const [shareError, setShareError] = useState('');
+  const shareSupported = canShareFiles();
+  const [animatedFormats] = useState(getAnimatedExportFormats);
+  const [animationOptions, setAnimationOptions] = useState(() => ({
+    format: animatedFormats[0] ?? null,
+    width: ANIMATED_EXPORT_SIZES[1],
+    fps: ANIMATED_EXPORT_FRAME_RATES[1],
+  }));
+  const [animated, setAnimated] = useState({ isRendering: false, progress: 0, blob: null, url: null, error: '' });
+
+  // The animated result replaces the still image once it exists
+  const resultBlob = animated.blob || blob;
+  const resultFileName = animated.blob
+    ? `${EXPORT_FILE_BASE_NAME}.${getAnimatedExportExtension(animated.blob)}`
+    : EXPORT_FILE_NAME;
+
+  const setAnimationOption = (name, value) => {
+    setAnimationOptions((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleRenderAnimation = async () => {
+    if (animated.url) URL.revokeObjectURL(animated.url);
+    setAnimated({ isRendering: true, progress: 0, blob: null, url: null, error: '' });
+    try {
+      const animatedBlob = await onRenderAnimation(animationOptions, (progress) => {
+        setAnimated((prev) => ({ ...prev, progress }));
+      });
+      setAnimated({ isRendering: false, progress: 1, blob: animatedBlob, url: URL.createObjectURL(animatedBlob), error: '' });
+    } catch (renderError) {
+      console.error('[ExportImageModal] Animated export failed:', renderError);
+      setAnimated({ isRendering: false, progress: 0, blob: null, url: null, error: t('export.animation.failed') });
+    }
+  };
+
+  const handleClose = () => {
+    if (animated.isRendering) return;
+    if (animated.url) URL.revokeObjectURL(animated.url);
+    setAnimated({ isRendering: false, progress: 0, blob: null, url: null, error: '' });
+    setShareError('');
+    onClose();
+  };
+
+  const handleDownload = () => {
+    if (resultBlob) downloadBlob(resultBlob, resultFileName);
+  };
+
+  const handleShare = async () => {
+    if (!resultBlob) return;
+    setShareError('');
+    try {
+      await shareBlob(resultBlob, resultFileName, t('export.shareTitle'));
+    } catch (shareFailure) {
+      console.warn('[ExportImageModal] Share failed:', shareFailure);
+      setShareError(t('export.shareFailed'));
+    }
+  };
+
+  const renderOptionPicker = (name, values, label, formatValue) => (
+    <div className="columns-picker" role="radiogroup" aria-label={label}>
+      <span className="columns-picker-label">{label}</span>
+      {values.map((value) => (
+        <button
+          key={value}
+          role="radio"
+          aria-checked={animationOptions[name] === value}
+          className={`columns-picker-option${animationOptions[name] === value ? ' columns-picker-option-active' : ''}`}
+          onClick={() => setAnimationOption(name, value)}
+          disabled={animated.isRendering}
+        >
+          {formatValue(value)}
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <Suspense fallback={null}>
+      <Modal isOpen={isOpen} onRequestClose={handleClose}>
+        <h2>{t('export.title')}</h2>
+        {isRendering && <div className="export-status">{t('export.rendering')}</div>}
+        {error && <div className="export-status export-status-error">{error}</div>}
+        {animated.url ? (
+          animated.blob.type.startsWith('video/') ? (
+            <video className="export-preview" src={animated.url} autoPlay loop muted playsInline />
+          ) : (
+            <img className="export-preview" src={animated.url} alt={t('export.previewAlt')} />
+          )
+        ) : imageUrl && (
+          <img className="export-preview" src={imageUrl} alt={t('export.previewAlt')} />
+        )}
+
+        {canAnimate && animatedFormats.length > 0 && (
+          <div className="export-animation">
+            <h3>{t('export.animation.title')}</h3>
+            {renderOptionPicker('format', animatedFormats, t('export.animation.format'), (format) => t(`export.animation.format.${format}`))}
+            {renderOptionPicker('width', ANIMATED_EXPORT_SIZES, t('export.animation.size'), (width) => `${width}px`)}
+            {renderOptionPicker('fps', ANIMATED_EXPORT_FRAME_RATES, t('export.animation.fps'), (fps) => fps)}
+            {animated.isRendering && (
+              <div className="export-status">
+                <progress className="export-progress" value={animated.progress} max={1} />
+                {t('export.animation.progress', { percent: Math.round(animated.progress * 100) })}
+              </div>
+            )}
+            {animated.error && <div className="export-status export-status-error">{animated.error}</div>}
+            <button onClick={handleRenderAnimation} disabled={isRendering || animated.isRendering}>
+              {t('export.animation.render')}
+            </button>
+          </div>
+        )}
+
+        {shareError && <div className="export-status export-status-error">{shareError}</div>}
+        <button onClick={handleDownload} disabled={!resultBlob || animated.isRendering}>{t('export.download')}</button>
+        {shareSupported && (
+          <button onClick={handleShare} disabled={!resultBlob || animated.isRendering}>{t('export.share')}</button>
+        )}
+        <button onClick={handleClose} disabled={animated.isRendering}>{t('common.close')}</button>
+      </Modal>
+    </Suspense>
+  );
+};
+
+const PICKER_SORT_OPTIONS = [
+  { key: 'default', labelKey: 'picker.sortDefault' },
+  { key: 'rarity', labelKey: 'picker.sortRarity' },
+  { key: 'name', labelKey: 'picker.sortName' },
+];
+
+// Lazy thumbnail; hides itself when the image is missing (e.g. gift without a known ID)
+const PickerImage = ({ src }) => {
+  const [failed, setFailed] = useState(false);
+  if (!src || failed) return <span className="picker-thumb picker-thumb-empty" />;
+  return (
+    <img
+      className="picker-thumb"
+      src={src}
+      alt=""
+      loading="lazy"
+      decoding="async"
+      onError={() => setFailed(true)}
+    />
+  );
+};
+
+const BackdropSwatch = ({ backdrop }) => (
+  <span
+    className="picker-thumb picker-swatch"
+    style={{
+      background: backdrop.hex
+        ? `radial-gradient(circle, ${backdrop.hex.centerColor}, ${backdrop.hex.edgeColor})`
+        : 'var(--default-cell-gradient)',
+    }}
+  />
+);
+
+// PickerField - button showing the current choice; opens a PickerSheet
+const PickerField = ({ label, placeholder, thumb, onClick }) => (
+  <button type="button" className="picker-field" onClick={onClick}>
+    {thumb}
+    <span className={label ? 'picker-field-label' : 'picker-field-label picker-field-placeholder'}>
+      {label || placeholder}
+    </span>
+    <span className="picker-field-arrow">▾</span>
+  </button>
+);
+
+// PickerSheet - full-screen searchable list with thumbnails and rarity sorting
+// items: [{ key, label, thumb, rarityPermille? }]
+const PickerSheet = ({ title, items, selectedKey, onSelect, onClose, noneLabel }) => {
+  const { t } = useI18n();
+  const [query, setQuery] = useState('');
+  const [sortMode, setSortMode] = useState('default');
+  const hasRarity = items.some((item) => item.rarityPermille != null);
+
+  const visibleItems = useMemo(() => {
+    let result = items.map((item, index) => ({
+      item,
+      index,
+      score: query.trim() ? fuzzyMatchScore(query, item.label) : 1,
+    }));
+    if (query.trim()) result = result.filter((entry) => entry.score > 0);
+
+    result.sort((a, b) => {
+      // Better matches first while searching
+      if (a.score !== b.score) return b.score - a.score;
+      if (sortMode === 'rarity') {
+        return (a.item.rarityPermille ?? Infinity) - (b.item.rarityPermille ?? Infinity);
+      }
+      if (sortMode === 'name') return a.item.label.localeCompare(b.item.label);
+      return a.index - b.index;
+    });
+    return result.map((entry) => entry.item);
+  }, [items, query, sortMode]);
+
+  const choose = (key) => {
+    onSelect(key);
+    onClose();
+  };
+
+  return (
+    <div className="picker-sheet" role="dialog" aria-label={title}>
+      <div className="picker-header">
+        <h3>{title}</h3>
+        <button type="button" className="picker-close" onClick={onClose} aria-label={t('common.close')}>✕</button>
+      </div>
+      <input
+        className="picker-search"
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder={t('picker.search')}
+        autoFocus
+      />
+      {hasRarity && (
+        <div className="picker-sort">
+          {PICKER_SORT_OPTIONS.map((option) => (
+            <button
+              key={option.key}
+              type="button"
+              className={sortMode === option.key ? 'picker-sort-option picker-sort-option-active' : 'picker-sort-option'}
+              onClick={() => setSortMode(option.key)}
+            >
+              {t(option.labelKey)}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="picker-list">
+        {noneLabel && !query.trim() && (
+          <button
+            type="button"
+            className={selectedKey === '' ? 'picker-item picker-item-selected' : 'picker-item'}
+            onClick={() => choose('')}
+          >
+            <span className="picker-thumb picker-thumb-empty" />
+            <span className="picker-item-label">{noneLabel}</span>
+          </button>
+        )}
+        {visibleItems.map((item) => (
+          <button
+            key={item.key}
+            type="button"
+            className={item.key === selectedKey ? 'picker-item picker-item-selected' : 'picker-item'}
+            onClick={() => choose(item.key)}
+          >
+            {item.thumb}
+            <span className="picker-item-label">{item.label}</span>
+            {item.rarityPermille != null && (
+              <span className="picker-item-rarity">{(item.rarityPermille / 10).toFixed(1)}%</span>
+            )}
+          </button>
+        ))}
+        {visibleItems.length === 0 && <div className="picker-empty">{t('picker.nothingFound')}</div>}
+      </div>
+    </div>
+  );
+};
+
 // PatternRings component - renders pattern symbols in rings
 // Memoized to prevent unnecessary re-renders
 const PatternRings = React.memo(({ gift, pattern, cellId }) => {
@@ -1456,7 +3411,7 @@ const PatternRings = React.memo(({ gift, pattern, cellId }) => {
     const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
     const img = document.createElementNS('http://www.w3.org/2000/svg', 'image');
     img.setAttribute('id', uniqueId);
-    img.setAttribute('href', `${API_BASE}/pattern/${normalizeGiftName(gift)}/${pattern}.png?size=${DEFAULT_PATTERN_IMAGE_SIZE}`);
+    img.setAttribute('href', getPatternImageUrl(gift, pattern));
     img.setAttribute('width', '32');
     img.setAttribute('height', '32');
     defs.appendChild(img);
@@ -1505,8 +3460,9 @@ const PatternRings = React.memo(({ gift, pattern, cellId }) => {
 });
 
 // TgsAnimation component - renders Lottie/TGS animations
+// Loops on its own, or - with a playerRegistry (grid "play all") - mounts paused and lets the scheduler start it
 // Memoized to prevent unnecessary re-renders
-const TgsAnimation = React.memo(({ gift, model, giftId }) => {
+const TgsAnimation = React.memo(({ gift, model, giftId, playerKey, playerRegistry }) => {
   const containerRef = useRef(null);
   const animationRef = useRef(null);
 
@@ -1522,42 +3478,21 @@ const TgsAnimation = React.memo(({ gift, model, giftId }) => {
           animationRef.current = null;
         }
 
-        // Lazy load lottie and pako
-        const [lottie, pako] = await Promise.all([loadLottie(), loadPako()]);
-
-        let cacheKey;
-        let tgsUrl;
-        
-        if (model) {
-          // Upgraded gift - use model endpoint
-          cacheKey = `model/${gift}/${model}`;
-          tgsUrl = `${API_BASE}/model/${normalizeGiftName(gift)}/${model}.tgs`;
-        } else if (giftId) {
-          // Non-upgraded gift - use original endpoint
-          cacheKey = `original/${giftId}`;
-          tgsUrl = `${API_BASE}/original/${giftId}.tgs`;
-        } else {
+        // Upgraded gifts use the model endpoint, non-upgraded ones the original endpoint
+        const cacheKey = getAnimationKey(gift, model, giftId);
+        if (!cacheKey) {
           console.warn('[TgsAnimation] Neither model nor giftId provided');
           return;
         }
+        const tgsUrl = getAnimationUrl(gift, model, giftId);
 
         console.log('[TgsAnimation] Loading animation:', { gift, model, giftId, tgsUrl });
-        
-        // Try to get cached animation data first (instant playback)
-        let animationData = animationCache.get(cacheKey);
-        
-        if (!animationData) {
-          // Not cached, fetch and cache it
-          const response = await fetch(tgsUrl);
-          if (!response.ok) throw new Error(`Failed to load animation: ${response.status} ${response.statusText}`);
-          
-          const arrayBuffer = await response.arrayBuffer();
-          const decompressed = pako.inflate(new Uint8Array(arrayBuffer), { to: 'string' });
-          animationData = JSON.parse(decompressed);
-          
-          // Cache for future use
-          animationCache.set(cacheKey, animationData);
-        }
+
+        // Memory / IndexedDB hit plays instantly; a miss is downloaded and inflated in a worker
+        const [lottie, animationData] = await Promise.all([
+          loadLottie(),
+          loadAnimationData(cacheKey, tgsUrl),
+        ]);
 
         if (!isMounted || !containerRef.current) return;
 
@@ -1565,8 +3500,8 @@ const TgsAnimation = React.memo(({ gift, model, giftId }) => {
         animationRef.current = lottie.loadAnimation({
           container: containerRef.current,
           renderer: 'canvas',
-          loop: true,
-          autoplay: true,
+          loop: !playerRegistry,
+          autoplay: !playerRegistry,
           animationData: animationData,
           rendererSettings: {
             preserveAspectRatio: 'xMidYMid meet',
@@ -1574,8 +3509,11 @@ const TgsAnimation = React.memo(({ gift, model, giftId }) => {
             progressiveLoad: true
           }
         });
+        playerRegistry?.register(playerKey, animationRef.current);
       } catch (error) {
         console.error(`[TgsAnimation] Failed to load animation:`, error);
+        // The scheduler shouldn't wait for a player that will never come
+        if (isMounted) playerRegistry?.register(playerKey, null);
         
         if (isMounted && containerRef.current) {
           containerRef.current.textContent = '';
@@ -1606,11 +3544,12 @@ const TgsAnimation = React.memo(({ gift, model, giftId }) => {
     return () => {
       isMounted = false;
       if (animationRef.current) {
+        playerRegistry?.unregister(playerKey, animationRef.current);
         animationRef.current.destroy();
         animationRef.current = null;
       }
     };
-  }, [gift, model, giftId]);
+  }, [gift, model, giftId, playerKey, playerRegistry]);
 
   return (
     <div
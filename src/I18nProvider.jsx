@@ -0,0 +1,23 @@
+// I18nProvider.jsx - Holds the UI language and provides t() to the app
+import { useState, useMemo, useEffect } from 'react';
+import { I18nContext, createTranslator, detectLanguage, saveLanguageOverride } from './i18n';
+
+export function I18nProvider({ children }) {
+  const [language, setLanguage] = useState(detectLanguage);
+
+  const value = useMemo(() => ({
+    language,
+    t: createTranslator(language),
+    // Manual choice overrides the Telegram language from now on
+    setLanguage: (next) => {
+      setLanguage(next);
+      saveLanguageOverride(next);
+    },
+  }), [language]);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
@@ -0,0 +1,221 @@
+// animationStore.js - Decoded TGS animations: in-memory hot set + IndexedDB store with LRU eviction by size
+// Keys follow the TGS endpoints: "model/<gift>/<model>" for upgraded gifts, "original/<giftId>" for base ones.
+// The database keeps the Lottie JSON and its bookkeeping in separate stores, so a cache hit
+// only rewrites the small { key, size, lastUsed } record:
+//   "animations" - key -> Lottie JSON object
+//   "entries"    - { key, size, lastUsed }, indexed by lastUsed for eviction
+// Downloading and inflating happen in tgsWorker.js; without Worker support they fall back to the main thread.
+
+const DB_NAME = 'nft_planner_animations';
+const DB_VERSION = 1;
+const DATA_STORE = 'animations';
+const ENTRY_STORE = 'entries';
+// Total inflated JSON kept on disk (a typical gift animation is 50-300 KB)
+const MAX_STORE_BYTES = 64 * 1024 * 1024;
+// Parsed animations kept in memory for instant replay within the session
+const MAX_MEMORY_ENTRIES = 40;
+
+const memoryCache = new Map();
+// key -> Promise, so a cell and a prefetch asking for the same animation share one download
+const pendingLoads = new Map();
+
+/**
+ * Cache key for a gift animation, or null when neither a model nor a gift id is known
+ */
+export function getAnimationKey(gift, model, giftId) {
+  if (model) return `model/${gift}/${model}`;
+  if (giftId) return `original/${giftId}`;
+  return null;
+}
+
+function rememberInMemory(key, data) {
+  // Map keeps insertion order - re-inserting moves the key to the "recent" end
+  memoryCache.delete(key);
+  memoryCache.set(key, data);
+  while (memoryCache.size > MAX_MEMORY_ENTRIES) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+// --- IndexedDB ---
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+/**
+ * @returns {Promise<IDBDatabase|null>} null when IndexedDB is unavailable (private mode, old WebView)
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(DATA_STORE);
+        db.createObjectStore(ENTRY_STORE, { keyPath: 'key' }).createIndex('lastUsed', 'lastUsed');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      console.warn('[animationStore] IndexedDB unavailable, using memory only:', error);
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+async function readStored(key) {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  const transaction = db.transaction([DATA_STORE, ENTRY_STORE], 'readwrite');
+  const data = await requestToPromise(transaction.objectStore(DATA_STORE).get(key));
+  if (data) {
+    const entries = transaction.objectStore(ENTRY_STORE);
+    const entry = await requestToPromise(entries.get(key));
+    if (entry) entries.put({ ...entry, lastUsed: Date.now() });
+  }
+  await transactionDone(transaction);
+  return data ?? null;
+}
+
+// Drop least recently used animations until the store fits MAX_STORE_BYTES
+async function evictStored(db) {
+  const transaction = db.transaction([DATA_STORE, ENTRY_STORE], 'readwrite');
+  const entries = await requestToPromise(transaction.objectStore(ENTRY_STORE).index('lastUsed').getAll());
+
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  for (const entry of entries) {
+    if (total <= MAX_STORE_BYTES) break;
+    transaction.objectStore(DATA_STORE).delete(entry.key);
+    transaction.objectStore(ENTRY_STORE).delete(entry.key);
+    total -= entry.size;
+  }
+  await transactionDone(transaction);
+}
+
+async function writeStored(key, data, size) {
+  const db = await openDatabase();
+  if (!db) return;
+
+  const transaction = db.transaction([DATA_STORE, ENTRY_STORE], 'readwrite');
+  transaction.objectStore(DATA_STORE).put(data, key);
+  transaction.objectStore(ENTRY_STORE).put({ key, size, lastUsed: Date.now() });
+  await transactionDone(transaction);
+  await evictStored(db);
+}
+
+// --- Decoding ---
+
+let worker = null; // null - not created yet, false - unsupported or failed to start
+let nextRequestId = 0;
+const workerRequests = new Map(); // request id -> { resolve, reject }
+
+function rejectWorkerRequests(error) {
+  workerRequests.forEach(({ reject }) => reject(error));
+  workerRequests.clear();
+}
+
+function getWorker() {
+  if (worker === null) {
+    try {
+      worker = new Worker(new URL('./tgsWorker.js', import.meta.url), { type: 'module' });
+      worker.addEventListener('message', (event) => {
+        const { id, data, size, error } = event.data;
+        const request = workerRequests.get(id);
+        if (!request) return;
+        workerRequests.delete(id);
+        if (error) request.reject(new Error(error));
+        else request.resolve({ data, size });
+      });
+      worker.addEventListener('error', (event) => {
+        // The worker script itself failed - decode on the main thread from now on
+        console.warn('[animationStore] Worker failed, decoding on the main thread:', event.message);
+        worker.terminate();
+        worker = false;
+        rejectWorkerRequests(new Error('TGS worker failed'));
+      });
+    } catch (error) {
+      console.warn('[animationStore] Workers unavailable, decoding on the main thread:', error);
+      worker = false;
+    }
+  }
+  return worker || null;
+}
+
+async function decodeOnMainThread(url) {
+  const pako = (await import('pako')).default;
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const bytes = pako.inflate(new Uint8Array(await response.arrayBuffer()));
+  return { data: JSON.parse(new TextDecoder().decode(bytes)), size: bytes.byteLength };
+}
+
+function decode(url) {
+  const tgsWorker = getWorker();
+  if (!tgsWorker) return decodeOnMainThread(url);
+
+  const id = nextRequestId++;
+  return new Promise((resolve, reject) => {
+    workerRequests.set(id, { resolve, reject });
+    tgsWorker.postMessage({ id, url });
+  }).catch((error) => {
+    // A worker that died mid-request leaves the fallback path
+    if (worker === false) return decodeOnMainThread(url);
+    throw error;
+  });
+}
+
+async function loadFromSources(key, url) {
+  try {
+    const stored = await readStored(key);
+    if (stored) return stored;
+  } catch (error) {
+    console.warn(`[animationStore] Failed to read ${key}:`, error);
+  }
+
+  const { data, size } = await decode(url);
+  writeStored(key, data, size).catch((error) => {
+    console.warn(`[animationStore] Failed to store ${key}:`, error);
+  });
+  return data;
+}
+
+/**
+ * Lottie JSON for a .tgs animation: memory, then IndexedDB, then download + inflate
+ * @param {string} key - From getAnimationKey()
+ * @param {string} url - .tgs URL to download on a cache miss
+ * @returns {Promise<Object>} Rejects when the download or decoding fails
+ */
+export function loadAnimationData(key, url) {
+  if (memoryCache.has(key)) {
+    const data = memoryCache.get(key);
+    rememberInMemory(key, data);
+    return Promise.resolve(data);
+  }
+  if (pendingLoads.has(key)) return pendingLoads.get(key);
+
+  const load = loadFromSources(key, url)
+    .then((data) => {
+      rememberInMemory(key, data);
+      return data;
+    })
+    .finally(() => pendingLoads.delete(key));
+  pendingLoads.set(key, load);
+  return load;
+}
@@ -0,0 +1,107 @@
+// cloudStorage.js - Promise wrappers around Telegram WebApp.CloudStorage
+// CloudStorage values are limited to 4096 characters, so larger values are split into chunks:
+// "<key>" holds a small header ({ chunks: N }) and "<key>__0".."<key>__N-1" hold the data.
+
+const MAX_VALUE_LENGTH = 4096;
+// Leave room for multi-byte characters and protocol overhead
+const CHUNK_LENGTH = 3500;
+
+function getCloudStorage() {
+  const webApp = window.Telegram?.WebApp;
+  if (!webApp?.CloudStorage) return null;
+  // CloudStorage exists on the object in older clients but only works since Bot API 6.9
+  if (webApp.isVersionAtLeast && !webApp.isVersionAtLeast('6.9')) return null;
+  return webApp.CloudStorage;
+}
+
+export function isCloudStorageAvailable() {
+  return getCloudStorage() !== null;
+}
+
+const chunkKey = (key, index) => `${key}__${index}`;
+
+function call(method, ...args) {
+  const storage = getCloudStorage();
+  if (!storage) return Promise.reject(new Error('CloudStorage is not available'));
+  return new Promise((resolve, reject) => {
+    storage[method](...args, (error, result) => {
+      if (error) reject(new Error(typeof error === 'string' ? error : 'CloudStorage error'));
+      else resolve(result);
+    });
+  });
+}
+
+/**
+ * Read a (possibly chunked) string value
+ * @returns {Promise<string|null>} null if the key is missing
+ */
+export async function cloudGetItem(key) {
+  const raw = await call('getItem', key);
+  if (!raw) return null;
+
+  let header = null;
+  try {
+    header = JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+  if (!header || typeof header !== 'object' || !Number.isInteger(header.chunks)) {
+    return raw;
+  }
+
+  const keys = Array.from({ length: header.chunks }, (_, i) => chunkKey(key, i));
+  const values = await call('getItems', keys);
+  const parts = keys.map((k) => values?.[k]);
+  if (parts.some((part) => typeof part !== 'string')) {
+    throw new Error(`CloudStorage value "${key}" is incomplete`);
+  }
+  return parts.join('');
+}
+
+// Number of data chunks the stored value at key has (0 for plain values and missing keys)
+async function getStoredChunkCount(key) {
+  const raw = await call('getItem', key);
+  try {
+    const header = JSON.parse(raw);
+    if (header && Number.isInteger(header.chunks)) return header.chunks;
+  } catch {
+    // Plain value - no chunks
+  }
+  return 0;
+}
+
+/**
+ * Write a string value, splitting it into chunks when it exceeds the CloudStorage limit
+ * Chunks left over from a longer previous value are removed.
+ */
+export async function cloudSetItem(key, value) {
+  const previousChunkCount = await getStoredChunkCount(key);
+  let chunkCount = 0;
+
+  if (value.length <= MAX_VALUE_LENGTH && !value.startsWith('{"chunks":')) {
+    await call('setItem', key, value);
+  } else {
+    const chunks = [];
+    for (let i = 0; i < value.length; i += CHUNK_LENGTH) {
+      chunks.push(value.slice(i, i + CHUNK_LENGTH));
+    }
+    // Write data chunks first so a reader never sees a header pointing at missing chunks
+    await Promise.all(chunks.map((chunk, i) => call('setItem', chunkKey(key, i), chunk)));
+    await call('setItem', key, JSON.stringify({ chunks: chunks.length }));
+    chunkCount = chunks.length;
+  }
+
+  if (previousChunkCount > chunkCount) {
+    const staleKeys = Array.from({ length: previousChunkCount - chunkCount }, (_, i) => chunkKey(key, chunkCount + i));
+    await call('removeItems', staleKeys);
+  }
+}
+
+/**
+ * Remove a value together with its chunks
+ */
+export async function cloudRemoveItem(key) {
+  const chunkCount = await getStoredChunkCount(key);
+  const keys = [key, ...Array.from({ length: chunkCount }, (_, i) => chunkKey(key, i))];
+  await call('removeItems', keys);
+}
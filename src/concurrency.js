@@ -0,0 +1,18 @@
+// concurrency.js - Bounded parallelism for batches of async work (page fetches, animation loads)
+
+/**
+ * Run an async task for every item with at most `limit` tasks in flight
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await task(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,369 @@
+// exportAnimation.js - Render the grid with every cell's TGS animation playing in sync, as animated WebP or video
+// The static parts come from two html2canvas captures of the grid (see exportImage.js):
+//   base    - backdrops, pattern rings and non-animated cells, with the animated gifts left out
+//   overlay - text, uniqueness ribbons and rarity badges on a transparent canvas
+// Every frame draws the base, each cell's lottie frame where its gift image sits, then the overlay.
+// Animated WebP is assembled from per-frame canvas.toBlob('image/webp') stills; video uses MediaRecorder.
+import { renderElementToCanvas, canvasToBlob } from './exportImage';
+import { loadAnimationData } from './animationStore';
+import { mapWithConcurrency } from './concurrency';
+
+// Output widths in pixels (height follows the grid's aspect ratio)
+export const ANIMATED_EXPORT_SIZES = [360, 540, 720];
+export const ANIMATED_EXPORT_FRAME_RATES = [12, 24, 30];
+
+// Gift animations are ~3 s; a longer one doesn't stretch the whole export
+const MAX_DURATION_SECONDS = 6;
+const MAX_PARALLEL_LOADS = 4;
+const WEBP_QUALITY = 0.85;
+const VIDEO_BITS_PER_SECOND = 4_000_000;
+const VIDEO_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+
+// Marked in CellContent: data-export-layer="gift" (gift image) / "overlay" (text, ribbon, badge)
+const GIFT_LAYER = '[data-export-layer="gift"]';
+const OVERLAY_LAYER = '[data-export-layer="overlay"]';
+
+function supportsWebpEncoding() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 1;
+  canvas.height = 1;
+  return canvas.toDataURL('image/webp').startsWith('data:image/webp');
+}
+
+function pickVideoMimeType() {
+  if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null;
+  return VIDEO_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) ?? null;
+}
+
+/**
+ * Formats this browser can encode: "webp" (animated WebP), "video" (WebM, or MP4 on Safari)
+ */
+export function getAnimatedExportFormats() {
+  return [
+    supportsWebpEncoding() && 'webp',
+    pickVideoMimeType() && 'video',
+  ].filter(Boolean);
+}
+
+/**
+ * File extension for an exported blob
+ */
+export function getAnimatedExportExtension(blob) {
+  if (blob.type.startsWith('image/webp')) return 'webp';
+  if (blob.type.startsWith('video/mp4')) return 'mp4';
+  return 'webm';
+}
+
+// --- Animated WebP container ---
+
+const FOURCC_LENGTH = 4;
+const CHUNK_HEADER_LENGTH = 8;
+
+function readFourCC(bytes, offset) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + FOURCC_LENGTH));
+}
+
+function writeUint24(view, offset, value) {
+  view.setUint8(offset, value & 0xff);
+  view.setUint8(offset + 1, (value >> 8) & 0xff);
+  view.setUint8(offset + 2, (value >> 16) & 0xff);
+}
+
+function makeChunk(fourCC, payload) {
+  const padded = payload.length + (payload.length % 2);
+  const chunk = new Uint8Array(CHUNK_HEADER_LENGTH + padded);
+  const view = new DataView(chunk.buffer);
+  for (let i = 0; i < FOURCC_LENGTH; i++) chunk[i] = fourCC.charCodeAt(i);
+  view.setUint32(4, payload.length, true);
+  chunk.set(payload, CHUNK_HEADER_LENGTH);
+  return chunk;
+}
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+/**
+ * Image chunks (ALPH + VP8, or VP8L) of a still WebP file - what goes inside an ANMF frame
+ */
+function extractWebpFrameData(bytes) {
+  if (readFourCC(bytes, 0) !== 'RIFF' || readFourCC(bytes, 8) !== 'WEBP') {
+    throw new Error('Not a WebP image');
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let hasAlpha = false;
+  let offset = 12;
+  while (offset + CHUNK_HEADER_LENGTH <= bytes.length) {
+    const fourCC = readFourCC(bytes, offset);
+    const size = view.getUint32(offset + 4, true);
+    const end = offset + CHUNK_HEADER_LENGTH + size + (size % 2);
+    if (fourCC === 'ALPH' || fourCC === 'VP8 ' || fourCC === 'VP8L') {
+      chunks.push(bytes.subarray(offset, end));
+      if (fourCC !== 'VP8 ') hasAlpha = true;
+    }
+    offset = end;
+  }
+  return { data: concatBytes(chunks), hasAlpha };
+}
+
+/**
+ * Build an animated WebP (looping forever) from still WebP frames of the same size
+ * @param {Uint8Array[]} frames
+ * @param {number} frameDurationMs
+ */
+function assembleAnimatedWebp(frames, width, height, frameDurationMs) {
+  const extracted = frames.map(extractWebpFrameData);
+
+  const vp8x = new Uint8Array(10);
+  const vp8xView = new DataView(vp8x.buffer);
+  // Flags: animation, plus alpha when any frame carries it
+  vp8x[0] = 0x02 | (extracted.some((frame) => frame.hasAlpha) ? 0x10 : 0);
+  writeUint24(vp8xView, 4, width - 1);
+  writeUint24(vp8xView, 7, height - 1);
+
+  // Background color (BGRA) and loop count 0 = infinite
+  const anim = new Uint8Array(6);
+
+  const anmfChunks = extracted.map(({ data }, index) => {
+    const header = new Uint8Array(16);
+    const view = new DataView(header.buffer);
+    // Frame offset 0,0 (bytes 0-5 stay zero)
+    writeUint24(view, 6, width - 1);
+    writeUint24(view, 9, height - 1);
+    // Spread rounding so the total length stays exact
+    const duration = Math.round((index + 1) * frameDurationMs) - Math.round(index * frameDurationMs);
+    writeUint24(view, 12, duration);
+    // Don't blend with the previous frame - every frame is the full picture
+    header[15] = 0x02;
+    return makeChunk('ANMF', concatBytes([header, data]));
+  });
+
+  const body = concatBytes([
+    new TextEncoder().encode('WEBP'),
+    makeChunk('VP8X', vp8x),
+    makeChunk('ANIM', anim),
+    ...anmfChunks,
+  ]);
+  const riffHeader = new Uint8Array(CHUNK_HEADER_LENGTH);
+  riffHeader.set(new TextEncoder().encode('RIFF'));
+  new DataView(riffHeader.buffer).setUint32(4, body.length, true);
+  return new Blob([riffHeader, body], { type: 'image/webp' });
+}
+
+// --- Frame rendering ---
+
+const hideLayers = (root, selectors) => {
+  root.querySelectorAll(selectors).forEach((node) => {
+    node.style.visibility = 'hidden';
+  });
+};
+
+/**
+ * Rectangle of a cell's gift image inside the grid, in output pixels
+ */
+function getGiftRect(gridElement, cellElement, scale) {
+  const gridRect = gridElement.getBoundingClientRect();
+  const giftElement = cellElement.querySelector(GIFT_LAYER);
+  let rect = giftElement?.getBoundingClientRect();
+  if (!rect || rect.width === 0) {
+    // Image not loaded yet - use the same 10% inset the gift image has
+    const cellRect = cellElement.getBoundingClientRect();
+    rect = {
+      left: cellRect.left + cellRect.width * 0.1,
+      top: cellRect.top + cellRect.height * 0.1,
+      width: cellRect.width * 0.8,
+      height: cellRect.height * 0.8,
+    };
+  }
+  return {
+    x: Math.round((rect.left - gridRect.left) * scale),
+    y: Math.round((rect.top - gridRect.top) * scale),
+    width: Math.max(1, Math.round(rect.width * scale)),
+    height: Math.max(1, Math.round(rect.height * scale)),
+  };
+}
+
+function createPlayer(lottie, animationData, rect) {
+  const canvas = document.createElement('canvas');
+  canvas.width = rect.width;
+  canvas.height = rect.height;
+  const player = lottie.loadAnimation({
+    renderer: 'canvas',
+    loop: false,
+    autoplay: false,
+    animationData,
+    rendererSettings: {
+      context: canvas.getContext('2d'),
+      preserveAspectRatio: 'xMidYMid meet',
+      clearCanvas: true,
+      dpr: 1,
+    },
+  });
+  return { canvas, player, rect };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function encodeVideo(canvas, frameCount, fps, drawFrame, onFrame) {
+  const mimeType = pickVideoMimeType();
+  if (!mimeType) throw new Error('Video recording is not supported');
+
+  // MediaRecorder timestamps frames by wall clock, so frames are drawn in real time
+  const stream = canvas.captureStream(fps);
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: VIDEO_BITS_PER_SECOND });
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  const stopped = new Promise((resolve, reject) => {
+    recorder.onstop = resolve;
+    recorder.onerror = (event) => reject(event.error || new Error('MediaRecorder failed'));
+  });
+
+  const frameMs = 1000 / fps;
+  drawFrame(0);
+  recorder.start();
+  const startedAt = performance.now();
+  for (let index = 0; index < frameCount; index++) {
+    drawFrame(index);
+    stream.getVideoTracks()[0]?.requestFrame?.();
+    onFrame(index);
+    const wait = startedAt + (index + 1) * frameMs - performance.now();
+    if (wait > 0) await sleep(wait);
+  }
+  recorder.stop();
+  stream.getTracks().forEach((track) => track.stop());
+  await stopped;
+
+  return new Blob(chunks, { type: mimeType.split(';')[0] });
+}
+
+async function encodeWebp(canvas, frameCount, fps, drawFrame, onFrame) {
+  const frames = [];
+  for (let index = 0; index < frameCount; index++) {
+    drawFrame(index);
+    const blob = await canvasToBlob(canvas, 'image/webp', WEBP_QUALITY);
+    frames.push(new Uint8Array(await blob.arrayBuffer()));
+    onFrame(index);
+  }
+  return assembleAnimatedWebp(frames, canvas.width, canvas.height, 1000 / fps);
+}
+
+/**
+ * Render the grid with its animations playing from the same frame
+ * @param {HTMLElement} gridElement - The #grid container
+ * @param {Object} options
+ * @param {Array<{index: number, cacheKey: string, url: string}>} options.cells - Animated cells by flat index
+ * @param {Object} options.lottie - lottie_canvas module (App's loadLottie)
+ * @param {'webp'|'video'} options.format
+ * @param {number} options.width - Output width, one of ANIMATED_EXPORT_SIZES
+ * @param {number} options.fps - One of ANIMATED_EXPORT_FRAME_RATES
+ * @param {string|null} options.backgroundColor
+ * @param {Function} [options.onProgress] - Called with 0..1
+ * @returns {Promise<Blob>} image/webp, video/webm or video/mp4
+ */
+export async function renderGridAnimation(gridElement, {
+  cells,
+  lottie,
+  format,
+  width,
+  fps,
+  backgroundColor = null,
+  onProgress = () => {},
+}) {
+  if (!gridElement) throw new Error('Nothing to export');
+  if (cells.length === 0) throw new Error('No animated cells');
+
+  const scale = width / gridElement.offsetWidth;
+
+  // Animations load first: a cell keeps its still gift image in the base layer when its animation fails
+  // Animation loading ~10%, static layers ~10%, frames the rest
+  onProgress(0);
+  const cellElements = gridElement.querySelectorAll('.cell');
+  let loadedCount = 0;
+  const loaded = await mapWithConcurrency(cells, MAX_PARALLEL_LOADS, async (cell) => {
+    try {
+      const data = await loadAnimationData(cell.cacheKey, cell.url);
+      return { index: cell.index, data, rect: getGiftRect(gridElement, cellElements[cell.index], scale) };
+    } catch (error) {
+      console.warn('[exportAnimation] Animation unavailable, exporting the still image:', cell.cacheKey, error);
+      return null;
+    } finally {
+      loadedCount += 1;
+      onProgress(0.1 * (loadedCount / cells.length));
+    }
+  });
+
+  const players = loaded.filter(Boolean).map(({ index, data, rect }) => ({
+    index,
+    ...createPlayer(lottie, data, rect),
+  }));
+  if (players.length === 0) throw new Error('No animation could be loaded');
+  const animatedIndexes = new Set(players.map(({ index }) => index));
+
+  try {
+    const base = await renderElementToCanvas(gridElement, {
+      scale,
+      backgroundColor,
+      prepareClone: (clone) => {
+        hideLayers(clone, OVERLAY_LAYER);
+        clone.querySelectorAll('.cell').forEach((cellElement, index) => {
+          if (animatedIndexes.has(index)) hideLayers(cellElement, GIFT_LAYER);
+        });
+      },
+    });
+    onProgress(0.15);
+    const overlay = await renderElementToCanvas(gridElement, {
+      scale,
+      backgroundColor: null,
+      prepareClone: (clone) => {
+        clone.querySelectorAll('.cell').forEach((cellElement) => {
+          cellElement.style.background = 'transparent';
+          cellElement.style.borderColor = 'transparent';
+          cellElement.style.boxShadow = 'none';
+        });
+        // Everything but the overlay elements (and their wrappers) is already in the base layer
+        clone.querySelectorAll('.cell *').forEach((node) => {
+          if (!node.closest(OVERLAY_LAYER) && !node.querySelector(OVERLAY_LAYER)) node.style.visibility = 'hidden';
+        });
+      },
+    });
+    onProgress(0.2);
+
+    const duration = Math.min(
+      MAX_DURATION_SECONDS,
+      Math.max(...players.map(({ player }) => player.getDuration(false))),
+    );
+    const frameCount = Math.max(1, Math.round(duration * fps));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = base.width;
+    canvas.height = base.height;
+    const context = canvas.getContext('2d');
+
+    const drawFrame = (index) => {
+      const seconds = index / fps;
+      context.clearRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(base, 0, 0);
+      players.forEach(({ canvas: cellCanvas, player, rect }) => {
+        // Shorter animations hold their last frame until the longest one ends
+        player.goToAndStop(Math.min(seconds * player.frameRate, player.totalFrames - 1), true);
+        context.drawImage(cellCanvas, rect.x, rect.y, rect.width, rect.height);
+      });
+      context.drawImage(overlay, 0, 0);
+    };
+    const onFrame = (index) => onProgress(0.2 + 0.8 * ((index + 1) / frameCount));
+
+    const encode = format === 'video' ? encodeVideo : encodeWebp;
+    return await encode(canvas, frameCount, fps, drawFrame, onFrame);
+  } finally {
+    players.forEach(({ player }) => player.destroy());
+  }
+}
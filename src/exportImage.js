@@ -0,0 +1,148 @@
+// exportImage.js - Render the planner grid to a PNG image
+// html2canvas is lazy-loaded (own chunk in vite.config.js) - only needed on export
+
+let html2canvasModule = null;
+
+const loadHtml2Canvas = async () => {
+  if (!html2canvasModule) {
+    html2canvasModule = (await import('html2canvas')).default;
+  }
+  return html2canvasModule;
+};
+
+// Export at 3x by default - sharp enough for a Telegram profile preview
+const DEFAULT_EXPORT_SCALE = 3;
+
+// Cache of remote image URL -> data URL, shared between exports
+const dataUrlCache = new Map();
+
+async function toDataUrl(url) {
+  if (dataUrlCache.has(url)) {
+    return dataUrlCache.get(url);
+  }
+
+  const response = await fetch(url, { mode: 'cors' });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const blob = await response.blob();
+
+  const dataUrl = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+  dataUrlCache.set(url, dataUrl);
+  return dataUrl;
+}
+
+/**
+ * Inline external <image> hrefs inside SVGs (PatternRings) as data URLs.
+ * html2canvas rasterizes SVG through an <img>, which never loads external resources,
+ * so without this step the pattern rings would be missing from the export.
+ */
+async function inlineSvgImages(root) {
+  const images = Array.from(root.querySelectorAll('svg image'));
+  await Promise.all(images.map(async (image) => {
+    const href = image.getAttribute('href');
+    if (!href || href.startsWith('data:')) return;
+    try {
+      image.setAttribute('href', await toDataUrl(href));
+    } catch (error) {
+      console.warn('[exportImage] Failed to inline pattern image:', href, error);
+    }
+  }));
+}
+
+/**
+ * Render a DOM element (the #grid container) to a canvas
+ * @param {HTMLElement} element - Element to capture
+ * @param {Object} options
+ * @param {number} options.scale - Device pixel multiplier (default 3)
+ * @param {string|null} options.backgroundColor - Canvas background, null for transparent
+ * @param {Function} [options.prepareClone] - Called with the cloned element before capture (hide layers etc.)
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function renderElementToCanvas(element, { scale = DEFAULT_EXPORT_SCALE, backgroundColor = null, prepareClone } = {}) {
+  if (!element) throw new Error('Nothing to export');
+
+  const html2canvas = await loadHtml2Canvas();
+  return html2canvas(element, {
+    scale,
+    backgroundColor,
+    useCORS: true,
+    logging: false,
+    onclone: async (clonedDocument) => {
+      const clonedElement = clonedDocument.getElementById(element.id) || clonedDocument.body;
+      // Hover/drag states must not leak into the exported image
+      clonedElement.querySelectorAll('.cell').forEach((cell) => {
+        cell.classList.remove('cell-dragging', 'cell-drop-target');
+      });
+      await inlineSvgImages(clonedElement);
+      prepareClone?.(clonedElement);
+    },
+  });
+}
+
+export function canvasToBlob(canvas, type = 'image/png', quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error(`Failed to encode ${type}`));
+    }, type, quality);
+  });
+}
+
+/**
+ * Render a DOM element (the #grid container) to a PNG blob
+ * @param {HTMLElement} element - Element to capture
+ * @param {Object} options - See renderElementToCanvas
+ * @returns {Promise<Blob>} PNG image
+ */
+export async function renderElementToPng(element, options) {
+  const canvas = await renderElementToCanvas(element, options);
+  return canvasToBlob(canvas, 'image/png');
+}
+
+/**
+ * Trigger a browser download for a blob
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the WebView time to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+/**
+ * Whether the Web Share API can share files here (Telegram shows up in the system share sheet)
+ */
+export function canShareFiles() {
+  if (typeof navigator === 'undefined' || !navigator.canShare) return false;
+  try {
+    const probe = new File([new Blob()], 'probe.png', { type: 'image/png' });
+    return navigator.canShare({ files: [probe] });
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Share an exported blob (PNG, animated WebP or video) via the system share sheet
+ * @returns {Promise<boolean>} false if the user cancelled
+ */
+export async function shareBlob(blob, fileName, text) {
+  const file = new File([blob], fileName, { type: blob.type || 'image/png' });
+  try {
+    await navigator.share({ files: [file], text });
+    return true;
+  } catch (error) {
+    if (error?.name === 'AbortError') return false;
+    throw error;
+  }
+}
@@ -0,0 +1,78 @@
+// giftAssets.js - Gift image, pattern and animation URLs on api.changes.tg / cdn.changes.tg
+import { normalizeGiftName, aggressiveNormalize } from './giftNames';
+
+export const API_BASE = 'https://api.changes.tg';
+export const CDN_BASE = 'https://cdn.changes.tg';
+export const DEFAULT_GIFT_IMAGE_SIZE = 128;
+export const DEFAULT_PATTERN_IMAGE_SIZE = 128;
+
+/**
+ * Gift id for the non-upgraded (original) animation, trying the same key variants as image lookup
+ */
+export function getGiftIdForAnimation(giftName, giftIds) {
+  if (!giftName) return null;
+  const variants = [
+    giftName,
+    giftName.toLowerCase(),
+    normalizeGiftName(giftName),
+    aggressiveNormalize(giftName),
+  ];
+  for (const variant of variants) {
+    if (giftIds[variant]) return giftIds[variant];
+  }
+  return null;
+}
+
+export function getAnimationUrl(gift, model, giftId) {
+  return model
+    ? `${API_BASE}/model/${normalizeGiftName(gift)}/${model}.tgs`
+    : `${API_BASE}/original/${giftId}.tgs`;
+}
+
+export function getPatternImageUrl(gift, pattern, size = DEFAULT_PATTERN_IMAGE_SIZE) {
+  return `${API_BASE}/pattern/${normalizeGiftName(gift)}/${pattern}.png?size=${size}`;
+}
+
+/**
+ * Get the image URL for a gift - uses model endpoint if model is selected, 
+ * otherwise falls back to /original endpoint using giftId.
+ * @param {string} gift - Gift name (e.g., "Santa Hat")
+ * @param {string|null} model - Model name if upgraded, null/empty if not
+ * @param {Object} giftIds - Map of gift names (normalized variants) to gift IDs
+ * @param {number} size - Image size (default 128)
+ * @returns {string|null} Image URL or null if gift ID not found
+ */
+export function getGiftImageUrl(gift, model, giftIds, size = DEFAULT_GIFT_IMAGE_SIZE) {
+  if (!gift) return null;
+
+  // If model is selected, use the model endpoint
+  if (model && model.trim() !== '') {
+    const normGift = normalizeGiftName(gift);
+    return `${API_BASE}/model/${normGift}/${model}.png?size=${size}`;
+  }
+
+  // Fallback to CDN /original endpoint using gift ID
+  // Try multiple key variants to find giftId in the name→id mapping
+  const variants = [
+    gift,                                    // Original: "Santa Hat"
+    gift.toLowerCase(),                      // Lowercase: "santa hat"
+    normalizeGiftName(gift),                 // Dashed: "santa-hat"
+    aggressiveNormalize(gift),               // Aggressive: "santahat"
+    gift.replace(/ /g, ''),                  // No spaces: "SantaHat"
+    gift.toLowerCase().replace(/ /g, '_'),   // Underscored: "santa_hat"
+  ];
+
+  let giftId = null;
+  for (const variant of variants) {
+    if (giftIds[variant]) {
+      giftId = giftIds[variant];
+      break;
+    }
+  }
+
+  if (giftId) {
+    return `${CDN_BASE}/gifts/originals/${giftId}/Original.png?size=${size}`;
+  }
+
+  return null;
+}
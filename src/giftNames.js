@@ -0,0 +1,15 @@
+// giftNames.js - Key normalization for gift names (API paths, id maps, price tables)
+
+/**
+ * API key of a gift name: "Plush Pepe" → "plush-pepe" (used by /models, /patterns and image URLs)
+ */
+export function normalizeGiftName(name) {
+  return name.toLowerCase().replace(/ /g, '-');
+}
+
+/**
+ * Aggressively normalize a string for key matching (removes all non-alphanumeric)
+ */
+export function aggressiveNormalize(str) {
+  return str.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
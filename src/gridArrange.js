@@ -0,0 +1,147 @@
+// gridArrange.js - Auto-arrange strategies for the planner grid
+// Every strategy keeps the grid shape and reorders the gift cells; cells without a gift (text-only labels,
+// placeholders) follow in their original order, and empty cells go to the end.
+import { getColumnCount } from './gridModel';
+
+// Strategy ids; labels live in the locale dictionaries under arrange.strategy.<id>
+export const ARRANGE_STRATEGIES = ['gift', 'modelRarity', 'totalIssued', 'group', 'hue', 'checkerboard'];
+
+// Cells without the sort value go after the ones that have it
+const compareOptionalNumbers = (a, b) => (a ?? Infinity) - (b ?? Infinity);
+
+const compareByGift = (a, b) => (
+  a.gift.localeCompare(b.gift) || (a.model || '').localeCompare(b.model || '')
+);
+
+/**
+ * Hue (0-360), saturation and lightness (0-1) of a "#rrggbb" color
+ * @returns {{h: number, s: number, l: number}|null}
+ */
+export function hexToHsl(hex) {
+  const match = typeof hex === 'string' && hex.match(/^#?([0-9a-f]{6})$/i);
+  if (!match) return null;
+  const value = parseInt(match[1], 16);
+  const r = ((value >> 16) & 255) / 255;
+  const g = ((value >> 8) & 255) / 255;
+  const b = (value & 255) / 255;
+
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+  if (d === 0) return { h: 0, s: 0, l };
+
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === r) h = ((g - b) / d) % 6;
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return { h: (h * 60 + 360) % 360, s, l };
+}
+
+// Near-grey backdrops have no meaningful hue - they go after the colored ones, light to dark
+const GREY_SATURATION = 0.12;
+
+function getBackdropHueKey(cell) {
+  const hsl = hexToHsl(cell.backdrop?.hex?.centerColor);
+  if (!hsl) return [2, 0];
+  if (hsl.s < GREY_SATURATION) return [1, 1 - hsl.l];
+  return [0, hsl.h];
+}
+
+const compareByHue = (a, b) => {
+  const [groupA, valueA] = getBackdropHueKey(a);
+  const [groupB, valueB] = getBackdropHueKey(b);
+  return groupA - groupB || valueA - valueB;
+};
+
+// Keep gifts in the order they first appear; identical models end up next to each other
+function groupIdentical(cells) {
+  const groups = new Map();
+  for (const cell of cells) {
+    if (!groups.has(cell.gift)) groups.set(cell.gift, new Map());
+    const models = groups.get(cell.gift);
+    const modelKey = cell.model || '';
+    if (!models.has(modelKey)) models.set(modelKey, []);
+    models.get(modelKey).push(cell);
+  }
+  return [...groups.values()].flatMap((models) => [...models.values()].flat());
+}
+
+/**
+ * Two most used backdrop names in the grid - the default pair for the checkerboard
+ */
+export function getTopBackdropNames(grid, count = 2) {
+  const counts = new Map();
+  for (const cell of grid.flat()) {
+    const name = cell?.backdrop?.name;
+    if (name) counts.set(name, (counts.get(name) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, count)
+    .map(([name]) => name);
+}
+
+/**
+ * Put cells with backdrop A on "white" squares and backdrop B on "black" ones,
+ * other cells fill whatever is left
+ */
+function arrangeCheckerboard(cells, columns, [nameA, nameB]) {
+  const first = cells.filter((cell) => cell.backdrop?.name === nameA);
+  const second = cells.filter((cell) => cell.backdrop?.name === nameB && nameB !== nameA);
+  const rest = cells.filter((cell) => !first.includes(cell) && !second.includes(cell));
+
+  const slots = Array(cells.length).fill(null);
+  slots.forEach((_, index) => {
+    const isWhite = (Math.floor(index / columns) + (index % columns)) % 2 === 0;
+    const queue = isWhite ? first : second;
+    if (queue.length > 0) slots[index] = queue.shift();
+  });
+  // Leftovers (more of one backdrop than squares of its color, or other backdrops)
+  const leftovers = [...first, ...second, ...rest];
+  return slots.map((cell) => cell ?? leftovers.shift());
+}
+
+/**
+ * Reorder the grid with one of ARRANGE_STRATEGIES
+ * @param {Array} grid - Current grid
+ * @param {string} strategy - Strategy id
+ * @param {Object} options - { backdrops: [nameA, nameB] } for the checkerboard
+ * @returns {Array} New grid with the same rows × columns
+ */
+export function arrangeGrid(grid, strategy, { backdrops = [] } = {}) {
+  const columns = getColumnCount(grid);
+  const cells = grid.flat().filter(Boolean);
+  const filled = cells.filter((cell) => cell.gift);
+  const withoutGift = cells.filter((cell) => !cell.gift);
+
+  let ordered;
+  switch (strategy) {
+    case 'gift':
+      ordered = [...filled].sort(compareByGift);
+      break;
+    case 'modelRarity':
+      ordered = [...filled].sort((a, b) => compareOptionalNumbers(a.modelRarity, b.modelRarity));
+      break;
+    case 'totalIssued':
+      ordered = [...filled].sort((a, b) => compareOptionalNumbers(a.totalIssued, b.totalIssued));
+      break;
+    case 'group':
+      ordered = groupIdentical(filled);
+      break;
+    case 'hue':
+      ordered = [...filled].sort(compareByHue);
+      break;
+    case 'checkerboard':
+      ordered = arrangeCheckerboard(filled, columns, backdrops);
+      break;
+    default:
+      ordered = filled;
+  }
+  ordered = [...ordered, ...withoutGift];
+
+  return grid.map((row, rowIndex) => row.map((_, colIndex) => (
+    ordered[rowIndex * columns + colIndex] ?? null
+  )));
+}
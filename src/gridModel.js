@@ -0,0 +1,79 @@
+// gridModel.js - Shape helpers for the planner grid (rows × columns of cells, null = empty)
+
+export const DEFAULT_ROWS = 3;
+export const DEFAULT_COLUMNS = 3;
+export const MIN_COLUMNS = 2;
+export const MAX_COLUMNS = 6;
+
+export function createEmptyRow(columns = DEFAULT_COLUMNS) {
+  return Array(columns).fill(null);
+}
+
+export function createEmptyGrid(rows = DEFAULT_ROWS, columns = DEFAULT_COLUMNS) {
+  return Array.from({ length: rows }, () => createEmptyRow(columns));
+}
+
+export function getColumnCount(grid) {
+  return grid[0]?.length ?? DEFAULT_COLUMNS;
+}
+
+/**
+ * Check that a grid is a non-empty rectangle with a supported width
+ */
+export function isValidGrid(grid) {
+  if (!Array.isArray(grid) || grid.length === 0 || !Array.isArray(grid[0])) return false;
+  const columns = grid[0].length;
+  return columns >= MIN_COLUMNS &&
+    columns <= MAX_COLUMNS &&
+    grid.every((row) => Array.isArray(row) && row.length === columns);
+}
+
+/**
+ * Re-flow cells into a new width, keeping their reading order
+ * @param {Array} grid - Current grid
+ * @param {number} columns - New column count
+ * @param {number} maxRows - Row cap (cells past it are dropped)
+ */
+export function reflowGrid(grid, columns, maxRows = Infinity) {
+  const cells = grid.flat();
+  const rows = Math.min(maxRows, Math.max(1, Math.ceil(cells.length / columns)));
+  return Array.from({ length: rows }, (_, rowIndex) => (
+    Array.from({ length: columns }, (_, colIndex) => cells[rowIndex * columns + colIndex] ?? null)
+  ));
+}
+
+/**
+ * Drop fully empty rows from the end of the grid
+ * @param {number} minRows - Never trim below this many rows
+ */
+export function trimTrailingEmptyRows(grid, minRows = 1) {
+  let end = grid.length;
+  while (end > minRows && grid[end - 1].every((cell) => cell === null)) end--;
+  return end === grid.length ? grid : grid.slice(0, end);
+}
+
+function moveItem(list, fromIndex, toIndex) {
+  const result = [...list];
+  const [moved] = result.splice(fromIndex, 1);
+  result.splice(toIndex, 0, moved);
+  return result;
+}
+
+/**
+ * Move a cell to another position in reading order - the cells in between shift by one
+ * @param {number} fromIndex - Flat index of the dragged cell
+ * @param {number} toIndex - Flat index of the drop position
+ */
+export function moveCell(grid, fromIndex, toIndex) {
+  const columns = getColumnCount(grid);
+  const cells = moveItem(grid.flat(), fromIndex, toIndex);
+  return grid.map((_, rowIndex) => cells.slice(rowIndex * columns, (rowIndex + 1) * columns));
+}
+
+export function moveRow(grid, fromIndex, toIndex) {
+  return moveItem(grid, fromIndex, toIndex);
+}
+
+export function moveColumn(grid, fromIndex, toIndex) {
+  return grid.map((row) => moveItem(row, fromIndex, toIndex));
+}
@@ -0,0 +1,168 @@
+// gridStorage.js - Versioned persistence of the planner layouts
+// Saved to localStorage synchronously and to Telegram CloudStorage when available,
+// so a WebView reload or closing the Mini App doesn't wipe the plan.
+import { isCloudStorageAvailable, cloudGetItem, cloudSetItem } from './cloudStorage';
+import { createEmptyGrid, isValidGrid } from './gridModel';
+
+export const GRID_SCHEMA_VERSION = 2;
+// Layouts the user hasn't named are stored without a name and shown as t('layouts.defaultName')
+export const DEFAULT_LAYOUT_NAME = '';
+
+const STORAGE_KEY = 'nft_planner_grid';
+
+function generateLayoutId() {
+  return `layout-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Create a named layout - a grid together with its own rows and animation mode
+ */
+export function createLayout(name, { grid = createEmptyGrid(), animationMode = false } = {}) {
+  return {
+    id: generateLayoutId(),
+    name,
+    rows: grid.length,
+    animationMode,
+    grid,
+  };
+}
+
+// Migrations from version N to N + 1. Add an entry here whenever the stored shape changes.
+const migrations = {
+  // v1 stored a single grid - it becomes the only layout
+  1: (payload) => {
+    if (!isValidGrid(payload.grid)) return null;
+    const layout = createLayout(DEFAULT_LAYOUT_NAME, {
+      grid: payload.grid,
+      animationMode: payload.animationMode,
+    });
+    return {
+      version: 2,
+      savedAt: payload.savedAt,
+      activeLayoutId: layout.id,
+      layouts: [layout],
+    };
+  },
+};
+
+/**
+ * Build the storable payload for the current layouts state
+ */
+export function serializeLayoutsState({ layouts, activeLayoutId }) {
+  return {
+    version: GRID_SCHEMA_VERSION,
+    savedAt: Date.now(),
+    activeLayoutId,
+    layouts,
+  };
+}
+
+function normalizeLayout(layout) {
+  if (!layout || typeof layout.id !== 'string' || !isValidGrid(layout.grid)) return null;
+  return {
+    id: layout.id,
+    name: typeof layout.name === 'string' ? layout.name : DEFAULT_LAYOUT_NAME,
+    rows: layout.grid.length,
+    animationMode: Boolean(layout.animationMode),
+    grid: layout.grid,
+  };
+}
+
+/**
+ * Upgrade a stored payload to the current schema version
+ * @returns {Object|null} { layouts, activeLayoutId, savedAt } or null if the payload is unusable
+ */
+export function migrateLayoutsState(payload) {
+  if (!payload || typeof payload !== 'object' || !Number.isInteger(payload.version)) {
+    return null;
+  }
+
+  let migrated = payload;
+  while (migrated.version < GRID_SCHEMA_VERSION) {
+    const migrate = migrations[migrated.version];
+    if (!migrate) {
+      console.warn('[gridStorage] No migration from version', migrated.version);
+      return null;
+    }
+    migrated = migrate(migrated);
+    if (!migrated) return null;
+  }
+
+  // Saved by a newer build - don't guess at its shape
+  if (migrated.version > GRID_SCHEMA_VERSION) {
+    console.warn('[gridStorage] Stored layouts have newer version', migrated.version);
+    return null;
+  }
+
+  const layouts = Array.isArray(migrated.layouts)
+    ? migrated.layouts.map(normalizeLayout).filter(Boolean)
+    : [];
+  if (layouts.length === 0) return null;
+
+  const activeLayoutId = layouts.some((layout) => layout.id === migrated.activeLayoutId)
+    ? migrated.activeLayoutId
+    : layouts[0].id;
+
+  return {
+    layouts,
+    activeLayoutId,
+    savedAt: migrated.savedAt || 0,
+  };
+}
+
+function parseStoredLayouts(raw) {
+  if (!raw) return null;
+  try {
+    return migrateLayoutsState(JSON.parse(raw));
+  } catch (error) {
+    console.warn('[gridStorage] Failed to parse stored layouts:', error);
+    return null;
+  }
+}
+
+/**
+ * Synchronously load layouts from localStorage (used for the initial render)
+ */
+export function loadLocalLayouts() {
+  try {
+    return parseStoredLayouts(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load layouts from Telegram CloudStorage
+ * @returns {Promise<Object|null>}
+ */
+export async function loadCloudLayouts() {
+  if (!isCloudStorageAvailable()) return null;
+  try {
+    return parseStoredLayouts(await cloudGetItem(STORAGE_KEY));
+  } catch (error) {
+    console.warn('[gridStorage] Failed to load layouts from CloudStorage:', error);
+    return null;
+  }
+}
+
+/**
+ * @returns {number} savedAt of the written payload
+ */
+export function saveLocalLayouts(state) {
+  const payload = serializeLayoutsState(state);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+  } catch (error) {
+    console.warn('[gridStorage] Failed to save layouts to localStorage:', error);
+  }
+  return payload.savedAt;
+}
+
+export async function saveCloudLayouts(state) {
+  if (!isCloudStorageAvailable()) return;
+  try {
+    await cloudSetItem(STORAGE_KEY, JSON.stringify(serializeLayoutsState(state)));
+  } catch (error) {
+    console.warn('[gridStorage] Failed to save layouts to CloudStorage:', error);
+  }
+}
@@ -0,0 +1,77 @@
+// i18n.js - Translation layer: RU / EN dictionaries, language detection and plural-aware formatting
+// Dictionary values are strings with {placeholders}, or { one, few, many, other } plural forms
+// picked by Intl.PluralRules from the `count` parameter.
+import { createContext, useContext } from 'react';
+import ru from './locales/ru';
+import en from './locales/en';
+
+const DICTIONARIES = { ru, en };
+export const LANGUAGES = ['ru', 'en'];
+export const DEFAULT_LANGUAGE = 'ru';
+
+const LANGUAGE_KEY = 'nft_planner_language';
+
+/**
+ * Map a Telegram / browser language code to a supported language
+ * ("ru", "uk", "be" and "kk" users get Russian, everyone else English)
+ */
+function resolveLanguage(code) {
+  if (!code) return null;
+  const base = code.toLowerCase().split(/[-_]/)[0];
+  if (LANGUAGES.includes(base)) return base;
+  return ['uk', 'be', 'kk'].includes(base) ? 'ru' : 'en';
+}
+
+/**
+ * Language for this session: manual override, then the Telegram user's language_code,
+ * then the browser language
+ */
+export function detectLanguage() {
+  try {
+    const override = localStorage.getItem(LANGUAGE_KEY);
+    if (LANGUAGES.includes(override)) return override;
+  } catch {
+    // Storage may be unavailable - fall through to detection
+  }
+  return resolveLanguage(window.Telegram?.WebApp?.initDataUnsafe?.user?.language_code) ||
+    resolveLanguage(navigator.language) ||
+    DEFAULT_LANGUAGE;
+}
+
+export function saveLanguageOverride(language) {
+  try {
+    localStorage.setItem(LANGUAGE_KEY, language);
+  } catch (error) {
+    console.warn('[i18n] Failed to save language:', error);
+  }
+}
+
+function interpolate(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Build t(key, params) for a language; missing keys fall back to Russian, then to the key itself
+ */
+export function createTranslator(language) {
+  const dictionary = DICTIONARIES[language] || DICTIONARIES[DEFAULT_LANGUAGE];
+  const pluralRules = new Intl.PluralRules(language);
+
+  return (key, params = {}) => {
+    const entry = dictionary[key] ?? DICTIONARIES[DEFAULT_LANGUAGE][key];
+    if (entry == null) return key;
+    if (typeof entry === 'string') return interpolate(entry, params);
+    const form = entry[pluralRules.select(params.count ?? 0)] ?? entry.other;
+    return interpolate(form, params);
+  };
+}
+
+export const I18nContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  t: createTranslator(DEFAULT_LANGUAGE),
+  setLanguage: () => {},
+});
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
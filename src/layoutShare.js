@@ -0,0 +1,204 @@
+// layoutShare.js - Encode a layout into a compact token for t.me/<bot>?startapp= links
+// Token: "1" (format version) + base64url(deflateRaw(compact JSON))
+// Telegram allows only [A-Za-z0-9_-] and up to 512 characters in start_param.
+import { NFT_ID_PATTERN } from './nftPage';
+import { MIN_COLUMNS, MAX_COLUMNS, isValidGrid } from './gridModel';
+
+const TOKEN_VERSION = '1';
+export const MAX_START_PARAM_LENGTH = 512;
+const HASH_PREFIX = '#layout=';
+const NFT_LINK_PREFIX = 'https://t.me/nft/';
+// Ownership travels as one letter
+const OWNERSHIP_CODES = { owned: 'o', wanted: 'w', placeholder: 'p' };
+
+// Optional build-time config for Telegram links (see README)
+const BOT_USERNAME = import.meta.env.VITE_BOT_USERNAME || '';
+const MINI_APP_NAME = import.meta.env.VITE_MINI_APP_NAME || '';
+
+let pakoModule = null;
+
+const loadPako = async () => {
+  if (!pakoModule) {
+    pakoModule = (await import('pako')).default;
+  }
+  return pakoModule;
+};
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// Drop trailing empty values - most cells have no text and many have no pattern
+function trimTrailing(values) {
+  let end = values.length;
+  while (end > 0 && (values[end - 1] === '' || values[end - 1] == null)) end--;
+  return values.slice(0, end);
+}
+
+// Cell -> [gift, model, backdropName, pattern, totalIssued, text, modelRarity, backdropRarity, patternRarity, nftId,
+//          ownership, targetPrice]
+// (nftId is the "Slug-123" tail of the t.me/nft link, ownership an OWNERSHIP_CODES letter); empty cell -> 0
+// Backdrops travel by name only and are resolved against the /backdrops list on open
+function packCell(cell) {
+  if (!cell?.gift) return 0;
+  return trimTrailing([
+    cell.gift,
+    cell.model || '',
+    cell.backdrop?.name || '',
+    cell.pattern || '',
+    cell.totalIssued || null,
+    cell.text || '',
+    cell.modelRarity ?? null,
+    cell.backdropRarity ?? null,
+    cell.patternRarity ?? null,
+    cell.link?.startsWith(NFT_LINK_PREFIX) ? cell.link.slice(NFT_LINK_PREFIX.length) : null,
+    OWNERSHIP_CODES[cell.ownership] || '',
+    cell.targetPrice ?? null,
+  ]);
+}
+
+// Tokens come from links anyone can craft: every field is coerced to the type the grid renders
+const asText = (value) => (typeof value === 'string' ? value : '');
+const asPositiveNumber = (value) => (typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : null);
+
+/**
+ * Packed cell -> cell; 0 -> empty cell
+ * @throws {Error} When the entry is neither, so the whole token is rejected
+ */
+function unpackCell(packed) {
+  if (packed === 0) return null;
+  if (!Array.isArray(packed) || typeof packed[0] !== 'string' || !packed[0]) {
+    throw new Error('Invalid cell');
+  }
+  const [
+    gift,
+    model = '',
+    backdropName = '',
+    pattern = '',
+    totalIssued = null,
+    text = '',
+    modelRarity = null,
+    backdropRarity = null,
+    patternRarity = null,
+    nftId = null,
+    ownershipCode = '',
+    targetPrice = null,
+  ] = packed;
+  const serialMatch = typeof nftId === 'string' ? nftId.match(NFT_ID_PATTERN) : null;
+  return {
+    gift,
+    model: asText(model),
+    backdrop: asText(backdropName) ? { name: backdropName } : null,
+    pattern: asText(pattern),
+    totalIssued: asPositiveNumber(totalIssued),
+    text: asText(text),
+    modelRarity: asPositiveNumber(modelRarity),
+    backdropRarity: asPositiveNumber(backdropRarity),
+    patternRarity: asPositiveNumber(patternRarity),
+    giftNumber: serialMatch ? parseInt(serialMatch[2], 10) : null,
+    link: serialMatch ? NFT_LINK_PREFIX + nftId : '',
+    ownership: Object.keys(OWNERSHIP_CODES).find((state) => OWNERSHIP_CODES[state] === ownershipCode) ?? null,
+    targetPrice: asPositiveNumber(targetPrice),
+  };
+}
+
+/**
+ * Encode a layout into a URL-safe token
+ * @param {Object} layout - { name, rows, animationMode, grid }
+ * @returns {Promise<string>}
+ */
+export async function encodeLayoutToken({ name, animationMode, grid }) {
+  const pako = await loadPako();
+  const compact = {
+    n: name || '',
+    a: animationMode ? 1 : 0,
+    w: grid[0]?.length || 3,
+    c: grid.flat().map(packCell),
+  };
+  const bytes = pako.deflateRaw(JSON.stringify(compact), { level: 9 });
+  return TOKEN_VERSION + bytesToBase64Url(bytes);
+}
+
+/**
+ * Decode a token produced by encodeLayoutToken
+ * @returns {Promise<Object|null>} { name, rows, animationMode, grid } with backdrops as { name } stubs;
+ * null for a malformed token (bad width, cell count or cell entries)
+ */
+export async function decodeLayoutToken(token) {
+  if (!token || token[0] !== TOKEN_VERSION) return null;
+  try {
+    const pako = await loadPako();
+    const json = pako.inflateRaw(base64UrlToBytes(token.slice(1)), { to: 'string' });
+    const compact = JSON.parse(json);
+
+    const width = compact?.w;
+    if (!Number.isInteger(width) || width < MIN_COLUMNS || width > MAX_COLUMNS) return null;
+    if (!Array.isArray(compact.c) || compact.c.length === 0 || compact.c.length % width !== 0) {
+      return null;
+    }
+
+    const cells = compact.c.map(unpackCell);
+    const grid = [];
+    for (let i = 0; i < cells.length; i += width) {
+      grid.push(cells.slice(i, i + width));
+    }
+    // Same check stored layouts go through, so a received layout can be saved and loaded again
+    if (!isValidGrid(grid)) return null;
+
+    return {
+      name: typeof compact.n === 'string' ? compact.n : '',
+      rows: grid.length,
+      animationMode: compact.a === 1,
+      grid,
+    };
+  } catch (error) {
+    console.warn('[layoutShare] Failed to decode layout token:', error);
+    return null;
+  }
+}
+
+/**
+ * Build a link that opens the Mini App with the layout.
+ * Falls back to a #layout= web link when the token doesn't fit start_param
+ * or no bot username is configured.
+ * @returns {{ url: string, isTelegramLink: boolean }}
+ */
+export function buildShareLink(token) {
+  if (BOT_USERNAME && token.length <= MAX_START_PARAM_LENGTH) {
+    const path = MINI_APP_NAME ? `${BOT_USERNAME}/${MINI_APP_NAME}` : BOT_USERNAME;
+    return { url: `https://t.me/${path}?startapp=${token}`, isTelegramLink: true };
+  }
+  const { origin, pathname } = window.location;
+  return { url: `${origin}${pathname}${HASH_PREFIX}${token}`, isTelegramLink: false };
+}
+
+/**
+ * Read a shared layout token from the Mini App start parameter or the URL hash
+ */
+export function readIncomingLayoutToken() {
+  const startParam = window.Telegram?.WebApp?.initDataUnsafe?.start_param;
+  if (startParam && startParam[0] === TOKEN_VERSION) return startParam;
+  if (window.location.hash.startsWith(HASH_PREFIX)) {
+    return window.location.hash.slice(HASH_PREFIX.length);
+  }
+  return null;
+}
+
+/**
+ * Drop the #layout= hash so a reload doesn't reopen the shared layout
+ */
+export function clearIncomingLayoutHash() {
+  if (window.location.hash.startsWith(HASH_PREFIX)) {
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+}
@@ -0,0 +1,219 @@
+// en.js - English strings (keys mirror ru.js)
+export default {
+  'common.loading': 'Loading...',
+  'common.close': 'Close',
+  'common.cancel': 'Cancel',
+  'common.save': 'Save',
+  'common.copy': 'Copy',
+  'common.paste': 'Paste',
+  'common.apply': 'Apply',
+  'common.export': 'Export',
+  'common.gift': 'Gift',
+  'common.model': 'Model',
+  'common.backdrop': 'Backdrop',
+  'common.pattern': 'Pattern',
+
+  'count.gifts': { one: '{count} gift', other: '{count} gifts' },
+  'count.cells': { one: '{count} cell', other: '{count} cells' },
+
+  'splash.loading': 'Loading... Please wait',
+  'splash.subscribe': 'Subscribe to @NFTPlanChannel',
+  'header.announcement': 'Subscribe to the official channel to follow updates',
+  'animation.tooltip': 'Turn animation on and press ▶: cells play in groups so large grids stay smooth.',
+
+  'cell.empty': 'Empty',
+  'cell.serialOf': '{serial} of {total}',
+  'cell.rarityTitle': 'Model {model}% × backdrop {backdrop}% × pattern {pattern}%',
+  'cell.priceTitle': 'Estimated floor price: {price}',
+  'cell.moveRow': 'Move row {index}',
+  'cell.moveColumn': 'Move column {index}',
+
+  'shared.banner': 'Shared layout — view only',
+  'shared.bannerNamed': 'Shared layout "{name}" — view only',
+  'shared.openNftConfirm': 'Open {gift} #{number} in Telegram?',
+
+  'toolbar.undo': 'Undo (Ctrl+Z)',
+  'toolbar.redo': 'Redo (Ctrl+Shift+Z)',
+  'toolbar.manageLayouts': 'Manage layouts',
+  'toolbar.layout': 'Layout: {name}',
+
+  'options.gridWidth': 'Grid width',
+  'options.columns': 'Columns:',
+  'options.dragMode': 'Drag mode',
+  'options.dragModeLabel': 'Drag:',
+  'options.dragMode.swap': 'Swap',
+  'options.dragMode.insert': 'Insert',
+  'options.playback': 'Playback style',
+  'options.playbackLabel': 'Animation:',
+  'options.playback.once': 'Once',
+  'options.playback.loop': 'Loop',
+  'options.playback.wave': 'Wave',
+  'options.rarity': 'Rarity',
+  'options.rarityTitle': 'Show combined rarity: model × backdrop × pattern',
+  'options.serial': 'Number',
+  'options.serialTitle': 'Show the gift number on the ribbon: #123 of 457K',
+  'options.prices': 'Prices',
+  'options.pricesTitle': 'Show estimated floor prices and the value of the grid',
+  'options.language': 'Language',
+
+  'valuation.total': 'Estimated value: {value}',
+  'valuation.priced': '{gifts}, {priced} with a known price',
+  'valuation.updated': 'prices from {date}',
+  'valuation.error': 'Could not load prices',
+
+  'selection.start': 'Select',
+  'selection.startTitle': 'Select several cells (or press and hold a cell)',
+  'selection.count': 'Selected: {count}',
+  'selection.rows': 'Rows',
+  'selection.columns': 'Columns',
+  'selection.all': 'All',
+  'selection.edit': 'Edit…',
+  'selection.done': 'Done',
+  'selection.clearConfirm': 'Clear the selected cells ({count})?',
+
+  'controls.addRowTop': 'Add a row at the top',
+  'controls.addRowBottom': 'Add a row at the bottom',
+  'controls.removeRowTop': 'Remove the top row',
+  'controls.removeRowBottom': 'Remove the bottom row',
+  'controls.play': 'Play animation',
+  'controls.stop': 'Stop animation',
+
+  'actions.copyShared': 'Copy to my layouts',
+  'actions.link': 'Link',
+  'actions.importLinks': 'Import links',
+  'actions.importOwned': 'My gifts',
+  'actions.arrange': 'Arrange',
+  'actions.toBuy': 'To buy',
+  'actions.reset': 'Reset all',
+
+  'link.invalid': 'Invalid link format',
+  'link.detailsUnavailable': 'NFT details unavailable',
+  'link.notFound': 'Not found: {list}',
+  'link.missing.model': 'model',
+  'link.missing.backdrop': 'backdrop',
+  'link.missing.pattern': 'pattern',
+
+  'cellModal.title': 'Cell settings',
+  'cellModal.playPreview': '▶ Animate',
+  'cellModal.stopPreview': '■ Stop',
+  'cellModal.parseLink': 'Read link',
+  'cellModal.selectGift': 'Choose a gift',
+  'cellModal.selectModel': 'Choose a model',
+  'cellModal.selectBackdrop': 'Choose a backdrop',
+  'cellModal.selectPattern': 'Choose a pattern',
+  'cellModal.textPlaceholder': 'Add text',
+  'cellModal.noModel': 'No model',
+  'cellModal.noBackdrop': 'No backdrop',
+  'cellModal.noPattern': 'No pattern',
+  'cellModal.openInTelegram': 'Open #{number} in Telegram',
+  'cellModal.giftAddedLoading': 'Gift "{name}" added. Loading details...',
+  'cellModal.giftAddedModel': 'Gift "{name}" added. Model: {model}',
+  'cellModal.backdropSuffix': ', backdrop: {backdrop}',
+  'cellModal.giftAddedBase': 'Gift "{name}" added (base, not upgraded)',
+  'cellModal.giftAddedNoDetails': 'Gift "{name}" added. NFT details unavailable.',
+  'cellModal.giftAddedError': 'Gift "{name}" added. Failed to load details.',
+
+  'picker.sortDefault': 'Default',
+  'picker.sortRarity': 'Rarest',
+  'picker.sortName': 'A–Z',
+  'picker.search': 'Search...',
+  'picker.nothingFound': 'Nothing found',
+
+  'layouts.title': 'Layouts',
+  'layouts.defaultName': 'Main',
+  'layouts.numberedName': 'Layout {number}',
+  'layouts.receivedName': 'Received layout',
+  'layouts.copyName': '{name} (copy)',
+  'layouts.meta': '{rows}×{columns} · {gifts}',
+  'layouts.value': '≈ {value}',
+  'layouts.rename': 'Rename',
+  'layouts.duplicate': 'Duplicate',
+  'layouts.delete': 'Delete',
+  'layouts.deleteConfirm': 'Delete layout "{name}"?',
+  'layouts.newPlaceholder': 'New layout name',
+  'layouts.create': 'Create layout',
+
+  'ownership.title': 'Ownership',
+  'ownership.label': 'Status:',
+  'ownership.owned': 'Owned',
+  'ownership.wanted': 'To buy',
+  'ownership.placeholder': 'Placeholder',
+  'ownership.targetPlaceholder': 'Target price, {currency}',
+
+  'acquisition.title': 'Still to buy',
+  'acquisition.budgetPlaceholder': 'Budget, {currency}',
+  'acquisition.empty': 'No cells are marked "To buy" yet.',
+  'acquisition.position': 'row {row}, column {column}',
+  'acquisition.runningTitle': 'Running total',
+  'acquisition.total': 'Total: {value} for {gifts}',
+  'acquisition.unpriced': 'without a price: {count}',
+  'acquisition.left': 'left in budget: {value}',
+  'acquisition.over': 'over budget by {value}',
+
+  'import.title': 'Import links',
+  'import.submit': 'Import',
+  'import.status.pending': 'Waiting',
+  'import.status.loading': 'Loading...',
+  'import.loadError': 'Failed to load',
+  'import.noFreeCells': 'No free cells',
+  'import.summary': 'Added: {placed} of {total}',
+  'import.summaryFailed': ', not added: {failed}',
+
+  'ownedImport.title': 'Import my gifts',
+  'ownedImport.hint': 'Paste a JSON export of your gifts (Bot API getBusinessAccountGifts result or a list of t.me/nft links), or a public profile or channel: @name, t.me/s/name.',
+  'ownedImport.placeholder': '@username, t.me/s/channel or JSON',
+  'ownedImport.load': 'Load',
+  'ownedImport.found': 'Found: {gifts}',
+  'ownedImport.skipped': ', skipped (not upgraded): {count}',
+  'ownedImport.nothingFound': 'No upgraded gifts found',
+  'ownedImport.invalid': 'Not a profile link or a JSON list of gifts',
+  'ownedImport.loadError': 'Could not load the page',
+  'ownedImport.none': 'None',
+  'ownedImport.place': 'Place selected: {count}',
+
+  'arrange.title': 'Arrange',
+  'arrange.strategy.gift': 'By gift name',
+  'arrange.strategy.modelRarity': 'By model rarity',
+  'arrange.strategy.totalIssued': 'By total supply',
+  'arrange.strategy.group': 'Group identical gifts',
+  'arrange.strategy.hue': 'By backdrop hue',
+  'arrange.strategy.checkerboard': 'Checkerboard of two backdrops',
+  'arrange.needTwoBackdrops': 'Needs cells with at least two different backdrops.',
+  'arrange.firstBackdrop': 'First backdrop',
+  'arrange.secondBackdrop': 'Second backdrop',
+
+  'bulkEdit.title': 'Selected: {cells}',
+  'bulkEdit.note': 'Backdrop, pattern, text and status only change on cells with a gift.',
+  'bulkEdit.backdrop': 'Backdrop…',
+  'bulkEdit.pattern': 'Pattern…',
+  'bulkEdit.commonPatterns': 'Pattern (shared by the selected gifts)',
+  'bulkEdit.textPlaceholder': 'Text for the selected cells',
+  'bulkEdit.applyText': 'Apply text',
+  'bulkEdit.paste': 'Paste {gift}',
+  'bulkEdit.nothingCopied': 'No copied cell',
+  'bulkEdit.clear': 'Clear',
+
+  'share.title': 'Layout link',
+  'share.message': 'My NFT gift layout',
+  'share.webLinkWarning': 'This is a web link: the layout does not fit into a Telegram link or the bot name is not configured.',
+  'share.copied': 'Copied',
+  'share.sendToTelegram': 'Send to Telegram',
+
+  'export.title': 'Export image',
+  'export.rendering': 'Creating image...',
+  'export.failed': 'Could not create the image',
+  'export.previewAlt': 'Grid export',
+  'export.download': 'Download',
+  'export.share': 'Share',
+  'export.shareTitle': 'My NFT gift plan',
+  'export.shareFailed': 'Sharing failed. Try downloading the image instead.',
+  'export.animation.title': 'Animation',
+  'export.animation.format': 'Format:',
+  'export.animation.format.webp': 'WebP',
+  'export.animation.format.video': 'Video',
+  'export.animation.size': 'Size:',
+  'export.animation.fps': 'FPS:',
+  'export.animation.render': 'Create animation',
+  'export.animation.progress': 'Rendering frames… {percent}%',
+  'export.animation.failed': 'Could not create the animation',
+};
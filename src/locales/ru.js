@@ -0,0 +1,219 @@
+// ru.js - Russian strings (the source language of the app)
+export default {
+  'common.loading': 'Загрузка...',
+  'common.close': 'Закрыть',
+  'common.cancel': 'Отмена',
+  'common.save': 'Сохранить',
+  'common.copy': 'Копировать',
+  'common.paste': 'Вставить',
+  'common.apply': 'Применить',
+  'common.export': 'Экспорт',
+  'common.gift': 'Подарок',
+  'common.model': 'Модель',
+  'common.backdrop': 'Фон',
+  'common.pattern': 'Паттерн',
+
+  'count.gifts': { one: '{count} подарок', few: '{count} подарка', many: '{count} подарков', other: '{count} подарка' },
+  'count.cells': { one: '{count} ячейка', few: '{count} ячейки', many: '{count} ячеек', other: '{count} ячейки' },
+
+  'splash.loading': 'Идет загрузка... Пожалуйста, подождите',
+  'splash.subscribe': 'Подписывайтесь на канал @NFTPlanChannel',
+  'header.announcement': 'Подписывайтесь на официальный канал и следите за обновлениями',
+  'animation.tooltip': 'Включите анимацию и нажмите ▶: ячейки проигрываются группами, чтобы большие сетки не тормозили.',
+
+  'cell.empty': 'Пусто',
+  'cell.serialOf': '{serial} из {total}',
+  'cell.rarityTitle': 'Модель {model}% × фон {backdrop}% × паттерн {pattern}%',
+  'cell.priceTitle': 'Примерная минимальная цена: {price}',
+  'cell.moveRow': 'Переместить ряд {index}',
+  'cell.moveColumn': 'Переместить колонку {index}',
+
+  'shared.banner': 'Общий макет — только просмотр',
+  'shared.bannerNamed': 'Общий макет "{name}" — только просмотр',
+  'shared.openNftConfirm': 'Открыть {gift} #{number} в Telegram?',
+
+  'toolbar.undo': 'Отменить (Ctrl+Z)',
+  'toolbar.redo': 'Повторить (Ctrl+Shift+Z)',
+  'toolbar.manageLayouts': 'Управление макетами',
+  'toolbar.layout': 'Макет: {name}',
+
+  'options.gridWidth': 'Ширина сетки',
+  'options.columns': 'Колонки:',
+  'options.dragMode': 'Режим перетаскивания',
+  'options.dragModeLabel': 'Перетаскивание:',
+  'options.dragMode.swap': 'Обмен',
+  'options.dragMode.insert': 'Вставка',
+  'options.playback': 'Стиль воспроизведения',
+  'options.playbackLabel': 'Анимация:',
+  'options.playback.once': 'Один раз',
+  'options.playback.loop': 'По кругу',
+  'options.playback.wave': 'Волной',
+  'options.rarity': 'Редкость',
+  'options.rarityTitle': 'Показывать общую редкость: модель × фон × паттерн',
+  'options.serial': 'Номер',
+  'options.serialTitle': 'Показывать номер подарка на ленте: #123 из 457K',
+  'options.prices': 'Цены',
+  'options.pricesTitle': 'Показывать примерные минимальные цены и стоимость сетки',
+  'options.language': 'Язык',
+
+  'valuation.total': 'Примерная стоимость: {value}',
+  'valuation.priced': '{gifts}, с известной ценой: {priced}',
+  'valuation.updated': 'цены от {date}',
+  'valuation.error': 'Не удалось загрузить цены',
+
+  'selection.start': 'Выбрать',
+  'selection.startTitle': 'Выбрать несколько ячеек (или удерживайте ячейку)',
+  'selection.count': 'Выбрано: {count}',
+  'selection.rows': 'Ряды',
+  'selection.columns': 'Колонки',
+  'selection.all': 'Все',
+  'selection.edit': 'Изменить…',
+  'selection.done': 'Готово',
+  'selection.clearConfirm': 'Очистить выбранные ячейки ({count})?',
+
+  'controls.addRowTop': 'Добавить ряд сверху',
+  'controls.addRowBottom': 'Добавить ряд снизу',
+  'controls.removeRowTop': 'Удалить ряд сверху',
+  'controls.removeRowBottom': 'Удалить ряд снизу',
+  'controls.play': 'Запустить анимацию',
+  'controls.stop': 'Остановить анимацию',
+
+  'actions.copyShared': 'Скопировать в мои макеты',
+  'actions.link': 'Ссылка',
+  'actions.importLinks': 'Импорт ссылок',
+  'actions.importOwned': 'Мои подарки',
+  'actions.arrange': 'Упорядочить',
+  'actions.toBuy': 'Купить',
+  'actions.reset': 'Полный сброс',
+
+  'link.invalid': 'Неверный формат ссылки',
+  'link.detailsUnavailable': 'Детали NFT недоступны',
+  'link.notFound': 'Не найдено: {list}',
+  'link.missing.model': 'модель',
+  'link.missing.backdrop': 'фон',
+  'link.missing.pattern': 'паттерн',
+
+  'cellModal.title': 'Настройка ячейки',
+  'cellModal.playPreview': '▶ Анимация',
+  'cellModal.stopPreview': '■ Стоп',
+  'cellModal.parseLink': 'Распознать ссылку',
+  'cellModal.selectGift': 'Выберите подарок',
+  'cellModal.selectModel': 'Выберите модель',
+  'cellModal.selectBackdrop': 'Выберите фон',
+  'cellModal.selectPattern': 'Выберите паттерн',
+  'cellModal.textPlaceholder': 'Добавьте текст',
+  'cellModal.noModel': 'Без модели',
+  'cellModal.noBackdrop': 'Без фона',
+  'cellModal.noPattern': 'Без паттерна',
+  'cellModal.openInTelegram': 'Открыть #{number} в Telegram',
+  'cellModal.giftAddedLoading': 'Подарок "{name}" добавлен. Загрузка деталей...',
+  'cellModal.giftAddedModel': 'Подарок "{name}" добавлен. Модель: {model}',
+  'cellModal.backdropSuffix': ', фон: {backdrop}',
+  'cellModal.giftAddedBase': 'Подарок "{name}" добавлен (базовый, без улучшений)',
+  'cellModal.giftAddedNoDetails': 'Подарок "{name}" добавлен. Детали NFT недоступны.',
+  'cellModal.giftAddedError': 'Подарок "{name}" добавлен. Ошибка загрузки деталей.',
+
+  'picker.sortDefault': 'По умолчанию',
+  'picker.sortRarity': 'Редкие',
+  'picker.sortName': 'А–Я',
+  'picker.search': 'Поиск...',
+  'picker.nothingFound': 'Ничего не найдено',
+
+  'layouts.title': 'Макеты',
+  'layouts.defaultName': 'Основной',
+  'layouts.numberedName': 'Макет {number}',
+  'layouts.receivedName': 'Полученный макет',
+  'layouts.copyName': '{name} (копия)',
+  'layouts.meta': '{rows}×{columns} · {gifts}',
+  'layouts.value': '≈ {value}',
+  'layouts.rename': 'Переименовать',
+  'layouts.duplicate': 'Дублировать',
+  'layouts.delete': 'Удалить',
+  'layouts.deleteConfirm': 'Удалить макет "{name}"?',
+  'layouts.newPlaceholder': 'Название нового макета',
+  'layouts.create': 'Создать макет',
+
+  'ownership.title': 'Владение',
+  'ownership.label': 'Статус:',
+  'ownership.owned': 'Есть',
+  'ownership.wanted': 'Купить',
+  'ownership.placeholder': 'Заглушка',
+  'ownership.targetPlaceholder': 'Целевая цена, {currency}',
+
+  'acquisition.title': 'Осталось купить',
+  'acquisition.budgetPlaceholder': 'Бюджет, {currency}',
+  'acquisition.empty': 'Пока нет ячеек со статусом «Купить».',
+  'acquisition.position': 'ряд {row}, колонка {column}',
+  'acquisition.runningTitle': 'Нарастающий итог',
+  'acquisition.total': 'Итого: {value} за {gifts}',
+  'acquisition.unpriced': 'без цены: {count}',
+  'acquisition.left': 'остаток бюджета: {value}',
+  'acquisition.over': 'сверх бюджета: {value}',
+
+  'import.title': 'Импорт ссылок',
+  'import.submit': 'Импортировать',
+  'import.status.pending': 'Ожидание',
+  'import.status.loading': 'Загрузка...',
+  'import.loadError': 'Ошибка загрузки',
+  'import.noFreeCells': 'Нет свободных ячеек',
+  'import.summary': 'Добавлено: {placed} из {total}',
+  'import.summaryFailed': ', не добавлено: {failed}',
+
+  'ownedImport.title': 'Импорт моих подарков',
+  'ownedImport.hint': 'Вставьте JSON-выгрузку подарков (ответ Bot API getBusinessAccountGifts или список ссылок t.me/nft) или публичный профиль либо канал: @name, t.me/s/name.',
+  'ownedImport.placeholder': '@username, t.me/s/channel или JSON',
+  'ownedImport.load': 'Загрузить',
+  'ownedImport.found': 'Найдено: {gifts}',
+  'ownedImport.skipped': ', пропущено (не улучшены): {count}',
+  'ownedImport.nothingFound': 'Улучшенные подарки не найдены',
+  'ownedImport.invalid': 'Это не ссылка на профиль и не JSON-список подарков',
+  'ownedImport.loadError': 'Не удалось загрузить страницу',
+  'ownedImport.none': 'Ничего',
+  'ownedImport.place': 'Разместить выбранные: {count}',
+
+  'arrange.title': 'Упорядочить',
+  'arrange.strategy.gift': 'По названию подарка',
+  'arrange.strategy.modelRarity': 'По редкости модели',
+  'arrange.strategy.totalIssued': 'По тиражу',
+  'arrange.strategy.group': 'Группировать одинаковые',
+  'arrange.strategy.hue': 'По оттенку фона',
+  'arrange.strategy.checkerboard': 'Шахматка из двух фонов',
+  'arrange.needTwoBackdrops': 'Нужны ячейки хотя бы с двумя разными фонами.',
+  'arrange.firstBackdrop': 'Первый фон',
+  'arrange.secondBackdrop': 'Второй фон',
+
+  'bulkEdit.title': 'Выбрано: {cells}',
+  'bulkEdit.note': 'Фон, паттерн, текст и статус меняются только у ячеек с подарком.',
+  'bulkEdit.backdrop': 'Фон…',
+  'bulkEdit.pattern': 'Паттерн…',
+  'bulkEdit.commonPatterns': 'Паттерн (общие для выбранных подарков)',
+  'bulkEdit.textPlaceholder': 'Текст для выбранных ячеек',
+  'bulkEdit.applyText': 'Применить текст',
+  'bulkEdit.paste': 'Вставить {gift}',
+  'bulkEdit.nothingCopied': 'Нет скопированной ячейки',
+  'bulkEdit.clear': 'Очистить',
+
+  'share.title': 'Ссылка на макет',
+  'share.message': 'Мой макет NFT подарков',
+  'share.webLinkWarning': 'Это веб-ссылка: макет не помещается в ссылку Telegram или имя бота не настроено.',
+  'share.copied': 'Скопировано',
+  'share.sendToTelegram': 'Отправить в Telegram',
+
+  'export.title': 'Экспорт изображения',
+  'export.rendering': 'Создание изображения...',
+  'export.failed': 'Не удалось создать изображение',
+  'export.previewAlt': 'Экспорт сетки',
+  'export.download': 'Скачать',
+  'export.share': 'Поделиться',
+  'export.shareTitle': 'Мой план NFT подарков',
+  'export.shareFailed': 'Не удалось поделиться. Попробуйте скачать изображение.',
+  'export.animation.title': 'Анимация',
+  'export.animation.format': 'Формат:',
+  'export.animation.format.webp': 'WebP',
+  'export.animation.format.video': 'Видео',
+  'export.animation.size': 'Размер:',
+  'export.animation.fps': 'Кадров/с:',
+  'export.animation.render': 'Создать анимацию',
+  'export.animation.progress': 'Рендер кадров… {percent}%',
+  'export.animation.failed': 'Не удалось создать анимацию',
+};
@@ -3,6 +3,8 @@ import { createRoot } from 'react-dom/client'
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query'
 import './index.css'
 import App from './App.jsx'
+import { I18nProvider } from './I18nProvider.jsx'
+import { registerServiceWorker } from './serviceWorker'
 
 // Note: WebApp.ready() is called in index.html inline script for earliest possible execution
 // This prevents blank screen / infinite loading in Telegram WebView
@@ -25,11 +27,17 @@ const queryClient = new QueryClient({
   },
 })
 
-// Render the app with React Query provider
+// Catalogs and gift images are cached persistently by the service worker,
+// so repeat launches (and offline ones) don't wait for the network
+registerServiceWorker()
+
+// Render the app with React Query and i18n providers
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <QueryClientProvider client={queryClient}>
-      <App />
+      <I18nProvider>
+        <App />
+      </I18nProvider>
     </QueryClientProvider>
   </StrictMode>,
 )
@@ -0,0 +1,248 @@
+// nftPage.js - Parsing of t.me/nft/<Slug>-<number> pages
+// Shared by the /api/nft serverless route and the client - no DOM or browser APIs here.
+
+// Slug of a t.me/nft link: letters and digits, words optionally joined by dashes ("PlushPepe", "magic-potion")
+const NFT_SLUG = '[A-Za-z0-9]+(?:-[A-Za-z0-9]+)*';
+// "<Slug>-<number>" - the unique gift id (t.me/nft path, Bot API UniqueGift.name): [, slug, number]
+export const NFT_ID_PATTERN = new RegExp(`^(${NFT_SLUG})-(\\d+)$`);
+// t.me/nft/<Slug>-<number> anywhere in a text: [, slug, number]
+export const NFT_LINK_PATTERN = new RegExp(`t\\.me/nft/(${NFT_SLUG})-(\\d+)`);
+
+/**
+ * Convert a t.me/nft slug to a gift name:
+ * 1. Replace dashes with spaces: "magic-potion" → "magic potion"
+ * 2. Insert space before capital letters: "InstantRamen" → "Instant Ramen"
+ * 3. Capitalize each word: "instant ramen" → "Instant Ramen"
+ */
+export function slugToGiftName(slug) {
+  return slug
+    .replace(/-/g, ' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2') // Insert space before capitals
+    .replace(/\b\w/g, (l) => l.toUpperCase());
+}
+
+/**
+ * Parse a t.me/nft/<Slug>-<number> link (with or without https://, extra path or query)
+ * @returns {{name: string, giftNumber: string, slug: string}|null} giftNumber as in the link
+ */
+export function parseLink(link) {
+  const match = link.match(NFT_LINK_PATTERN);
+  if (match) {
+    const name = slugToGiftName(match[1]);
+    const giftNumber = match[2];
+    return { name, giftNumber, slug: match[1] };
+  }
+  return null;
+}
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&#039;': "'",
+  '&nbsp;': ' ',
+};
+
+function decodeEntities(text) {
+  return text
+    .replace(/&(?:amp|lt|gt|quot|nbsp|#0?39);/g, (entity) => HTML_ENTITIES[entity])
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)));
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Turn <tr><th>Model</th><td>Diamonds <mark>0.5%</mark></td></tr> rows into "Model: Diamonds 0.5%" lines
+ */
+function extractTableLines(html) {
+  const lines = [];
+  const rowRegex = /<tr[^>]*>\s*<th[^>]*>([\s\S]*?)<\/th>\s*<td[^>]*>([\s\S]*?)<\/td>/gi;
+  let match;
+  while ((match = rowRegex.exec(html)) !== null) {
+    lines.push(`${stripTags(match[1])}: ${stripTags(match[2])}`);
+  }
+  return lines;
+}
+
+/**
+ * Extract "<Label> <value> <rarity>%" from one line.
+ * Handles markdown tables (| Model | Diamonds 0.5% |) and text (Model: Diamonds 0.5%)
+ * @returns {{value: string, rarity: number|null}|null}
+ */
+function extractAttribute(line, label) {
+  // Try markdown table format: | Model | Diamonds 0.5% |
+  let match = line.match(new RegExp(`\\|\\s*${label}\\s*\\|\\s*([^|]+?)\\s*(?:(\\d+\\.?\\d*)%\\s*)?\\|`, 'i'));
+  if (!match) {
+    // Try text format: Model: Diamonds 0.5%
+    match = line.match(new RegExp(`${label}\\s*[:|]\\s*([^%\\n]+?)(?:\\s+(\\d+\\.?\\d*)%|$)`, 'i'));
+  }
+  if (!match) {
+    // Try simple format without percentage
+    match = line.match(new RegExp(`${label}\\s*[:|]\\s*(.+)`, 'i'));
+  }
+  if (!match || !match[1]) return null;
+
+  let value = match[1].trim();
+  let rarity = match[2] ? parseFloat(match[2]) : null;
+  // The simple format leaves the percentage in the value
+  const trailingPercent = value.match(/\s*(\d+\.?\d*)%\s*$/);
+  if (trailingPercent) {
+    value = value.slice(0, trailingPercent.index).trim();
+    if (rarity === null) rarity = parseFloat(trailingPercent[1]);
+  }
+  if (!value) return null;
+  return { value: decodeEntities(value), rarity };
+}
+
+// "367 993/457 382" or "367,993/457,382" -> numbers
+function parseQuantity(issuedStr, totalStr) {
+  const total = parseInt(totalStr.replace(/[\s,]/g, ''), 10);
+  const issued = issuedStr ? parseInt(issuedStr.replace(/[\s,]/g, ''), 10) : NaN;
+  return {
+    issued: !isNaN(issued) && issued > 0 ? issued : null,
+    totalIssued: !isNaN(total) && total > 0 ? total : null,
+  };
+}
+
+/**
+ * Parse NFT page content to extract Model, Backdrop, Symbol (with rarity percentages),
+ * issued / total issued count and owner
+ * Handles multiple formats:
+ * - HTML table: <th>Model</th><td>Diamonds <mark>0.5%</mark></td>
+ * - Markdown table: | Model | Diamonds 0.5% |
+ * - Text format: Model: Diamonds 0.5%
+ * - Quantity: X/Y issued or X/Y
+ * - HTML meta tags and page content
+ */
+export function parseNftPageContent(text) {
+  const result = {
+    model: '',
+    modelRarity: null,
+    backdrop: '',
+    backdropRarity: null,
+    pattern: '',
+    patternRarity: null,
+    issued: null,
+    totalIssued: null,
+    owner: '',
+  };
+
+  // First try to extract from HTML meta description or og:description
+  const metaDescMatch = text.match(/<meta[^>]*(?:name=["']description["']|property=["']og:description["'])[^>]*content=["']([^"']+)["']/i);
+  const pageTextMatch = text.match(/<div[^>]*class="[^"]*tgme_page_description[^"]*"[^>]*>([^<]+)</i);
+
+  let contentToParse = text;
+  if (metaDescMatch) {
+    contentToParse = metaDescMatch[1] + '\n' + text;
+  }
+  if (pageTextMatch) {
+    contentToParse = pageTextMatch[1] + '\n' + contentToParse;
+  }
+
+  // Also try to find content in script data
+  const scriptDataMatch = text.match(/data-webview-text="([^"]+)"/i);
+  if (scriptDataMatch) {
+    contentToParse = scriptDataMatch[1] + '\n' + contentToParse;
+  }
+
+  // The gift table on the page itself is the most structured source
+  const tableLines = extractTableLines(text);
+  if (tableLines.length > 0) {
+    contentToParse = tableLines.join('\n') + '\n' + contentToParse;
+  }
+
+  // Split into lines for line-by-line parsing
+  const lines = contentToParse.split('\n').map(l => l.trim());
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const lineLower = line.toLowerCase();
+
+    // Skip empty lines
+    if (!line) continue;
+
+    // Check for Model
+    if (lineLower.includes('model') && !result.model) {
+      const attribute = extractAttribute(line, 'Model');
+      if (attribute) {
+        result.model = attribute.value;
+        result.modelRarity = attribute.rarity;
+      }
+    }
+
+    // Check for Backdrop
+    if (lineLower.includes('backdrop') && !result.backdrop) {
+      const attribute = extractAttribute(line, 'Backdrop');
+      if (attribute) {
+        result.backdrop = attribute.value;
+        result.backdropRarity = attribute.rarity;
+      }
+    }
+
+    // Check for Symbol or Pattern
+    if ((lineLower.includes('symbol') || lineLower.includes('pattern')) && !result.pattern) {
+      const attribute = extractAttribute(line, '(?:Symbol|Pattern)');
+      if (attribute) {
+        result.pattern = attribute.value;
+        result.patternRarity = attribute.rarity;
+      }
+    }
+
+    // Check for Owner
+    if (lineLower.startsWith('owner') && !result.owner) {
+      const match = line.match(/^Owner\s*[:|]\s*([^|<]+)/i);
+      if (match && match[1].trim()) {
+        result.owner = decodeEntities(match[1].trim());
+      }
+    }
+
+    // Check for Quantity / issued count (e.g., "367 993/457 382 issued" or "Quantity: 367 993/457 382")
+    if ((lineLower.includes('quantity') || lineLower.includes('issued') || line.includes('/')) && !result.totalIssued) {
+      // Try to match patterns like "367 993/457 382 issued" or "367,993/457,382"
+      const match = line.match(/([\d,\s]+)\/\s*([\d,\s]+)/);
+      if (match && match[2]) {
+        const quantity = parseQuantity(match[1], match[2]);
+        if (quantity.totalIssued) {
+          result.issued = quantity.issued;
+          result.totalIssued = quantity.totalIssued;
+        }
+      }
+    }
+  }
+
+  // If we still haven't found totalIssued, try a global regex on the entire text
+  if (!result.totalIssued) {
+    // Look for patterns like "368 141/457 382" anywhere in the HTML
+    const globalMatch = text.match(/([\d\s,]+)\s*\/\s*([\d\s,]+)\s*(?:issued)?/i);
+    if (globalMatch && globalMatch[2]) {
+      const quantity = parseQuantity(globalMatch[1], globalMatch[2]);
+      if (quantity.totalIssued) {
+        result.issued = quantity.issued;
+        result.totalIssued = quantity.totalIssued;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Extract gift name and number from the page title ("Plush Pepe #123")
+ * @returns {{gift: string, number: number}|null}
+ */
+export function parseNftTitle(html) {
+  const titleMatch = html.match(/<meta[^>]*property=["']og:title["'][^>]*content=["']([^"']+)["']/i) ||
+    html.match(/<title>([^<]+)<\/title>/i);
+  if (!titleMatch) return null;
+
+  const match = decodeEntities(titleMatch[1]).match(/^(.+?)\s*#\s*([\d\s,]+)\s*$/);
+  if (!match) return null;
+  return {
+    gift: match[1].trim(),
+    number: parseInt(match[2].replace(/[\s,]/g, ''), 10),
+  };
+}
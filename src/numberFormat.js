@@ -0,0 +1,14 @@
+// numberFormat.js - Compact counts for cell labels (ribbon "of 457.4K", rarity "1:2.5M")
+
+/**
+ * 1000 -> "1K", 1500 -> "1.5K", 1000000 -> "1M"; smaller numbers as is
+ */
+export function formatNumber(num) {
+  if (num >= 1000000) {
+    return (num / 1000000).toFixed(1).replace(/\.0$/, '') + 'M';
+  }
+  if (num >= 1000) {
+    return (num / 1000).toFixed(1).replace(/\.0$/, '') + 'K';
+  }
+  return num.toString();
+}
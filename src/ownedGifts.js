@@ -0,0 +1,139 @@
+// ownedGifts.js - Parsing of owned-gift sources for the "import my gifts" dialog
+// Sources: a pasted JSON export (Bot API getBusinessAccountGifts / getUserGifts result, or a plain list)
+// and a public profile or channel page fetched through /api/proxy.
+// Shared by the proxy route and the client - no DOM or browser APIs here.
+import { NFT_ID_PATTERN, NFT_LINK_PATTERN, slugToGiftName } from './nftPage.js';
+
+const NFT_LINK_PREFIX = 'https://t.me/nft/';
+const ALL_NFT_LINKS = new RegExp(NFT_LINK_PATTERN.source, 'g');
+// Telegram usernames: 5-32 characters, letter first, letters / digits / underscores
+const USERNAME_PATTERN = '[A-Za-z][A-Za-z0-9_]{4,31}';
+// Pages the proxy may fetch for an import: t.me/<username> (profile) and t.me/s/<channel> (channel feed)
+export const PROFILE_PATH_PATTERN = new RegExp(`^/(?:s/)?${USERNAME_PATTERN}/?$`);
+
+/**
+ * Profile / channel URL from user input ("@name", "t.me/name", "https://t.me/s/name")
+ * @returns {string|null} Canonical https://t.me/... URL, or null when the input isn't one
+ */
+export function normalizeProfileUrl(input) {
+  const value = input.trim();
+  const mention = value.match(new RegExp(`^@(${USERNAME_PATTERN})$`));
+  if (mention) return `https://t.me/${mention[1]}`;
+
+  const match = value.match(/^(?:https?:\/\/)?t\.me(\/[^?#\s]*)$/i);
+  if (!match || !PROFILE_PATH_PATTERN.test(match[1])) return null;
+  return `https://t.me${match[1].replace(/\/$/, '')}`;
+}
+
+function createEntry(gift, slug, number) {
+  return {
+    gift,
+    number,
+    link: slug && number ? `${NFT_LINK_PREFIX}${slug}-${number}` : '',
+    model: '',
+    modelRarity: null,
+    backdrop: '',
+    backdropRarity: null,
+    pattern: '',
+    patternRarity: null,
+    totalIssued: null,
+  };
+}
+
+const asText = (value) => (typeof value === 'string' ? value.trim() : '');
+const asNumber = (value) => (typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : null);
+// Attributes are either "Name" or { name, rarity_per_mille }
+const attributeName = (value) => asText(value) || asText(value?.name);
+const attributeRarity = (value, percent) => (
+  asNumber(percent) ?? (asNumber(value?.rarity_per_mille) !== null ? value.rarity_per_mille / 10 : null)
+);
+
+// "t.me/nft/PlushPepe-123" anywhere in the text -> { slug, number }
+function matchNftLink(text) {
+  const match = text.match(NFT_LINK_PATTERN);
+  return match ? { slug: match[1], number: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * One item of a JSON export -> entry, or null when it isn't an upgraded gift
+ * Accepts Bot API OwnedGiftUnique ({ type: "unique", gift: UniqueGift }), a bare UniqueGift
+ * and flat objects ({ gift, number, model, backdrop, pattern, totalIssued, link }).
+ */
+function entryFromJson(item) {
+  if (typeof item === 'string') {
+    const linked = matchNftLink(item);
+    return linked ? createEntry(slugToGiftName(linked.slug), linked.slug, linked.number) : null;
+  }
+  if (!item || typeof item !== 'object') return null;
+  if (item.type && item.type !== 'unique') return null;
+
+  const source = item.gift && typeof item.gift === 'object' ? item.gift : item;
+  // UniqueGift.name is the "PlushPepe-123" id, flat exports may carry the link instead
+  const nftId = asText(source.name).match(NFT_ID_PATTERN);
+  const linked = nftId
+    ? { slug: nftId[1], number: parseInt(nftId[2], 10) }
+    : matchNftLink(asText(source.link) || asText(source.url));
+  const gift = asText(source.base_name) || asText(source.gift) || (linked ? slugToGiftName(linked.slug) : '');
+  if (!gift) return null;
+
+  const number = asNumber(source.number) ?? linked?.number ?? null;
+  const slug = linked?.slug ?? null;
+  return {
+    ...createEntry(gift, slug, number),
+    model: attributeName(source.model),
+    modelRarity: attributeRarity(source.model, source.modelRarity),
+    backdrop: attributeName(source.backdrop),
+    backdropRarity: attributeRarity(source.backdrop, source.backdropRarity),
+    pattern: attributeName(source.symbol) || attributeName(source.pattern),
+    patternRarity: attributeRarity(source.symbol ?? source.pattern, source.patternRarity),
+    totalIssued: asNumber(source.totalIssued) ?? asNumber(source.total_count),
+  };
+}
+
+// Same NFT listed twice (e.g. a profile page linking a gift in several posts) is imported once
+function dedupe(entries) {
+  const seen = new Set();
+  return entries.filter((entry) => {
+    if (!entry.link) return true;
+    if (seen.has(entry.link)) return false;
+    seen.add(entry.link);
+    return true;
+  });
+}
+
+/**
+ * Parse a pasted JSON export: an array, or an object with a `gifts` array
+ * @returns {{entries: Array, skipped: number}} skipped - items that aren't upgraded gifts
+ * @throws {Error} When the text isn't JSON or has no list of gifts
+ */
+export function parseOwnedGiftsJson(text) {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : data?.gifts;
+  if (!Array.isArray(items)) throw new Error('No gifts list in JSON');
+
+  const entries = items.map(entryFromJson);
+  return {
+    entries: dedupe(entries.filter(Boolean)),
+    skipped: entries.filter((entry) => !entry).length,
+  };
+}
+
+/**
+ * Collect the t.me/nft links of a profile or channel page, in page order
+ * Only gift and serial are known - details come from /api/nft when the gifts are placed.
+ * @returns {{entries: Array, skipped: number}}
+ */
+export function parseProfilePage(html) {
+  const entries = [];
+  for (const match of html.matchAll(ALL_NFT_LINKS)) {
+    entries.push(createEntry(slugToGiftName(match[1]), match[1], parseInt(match[2], 10)));
+  }
+  return { entries: dedupe(entries), skipped: 0 };
+}
+
+/**
+ * Whether an entry still needs its NFT page for model / backdrop / pattern
+ */
+export function needsDetails(entry) {
+  return Boolean(entry.link) && !entry.model;
+}
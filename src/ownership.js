@@ -0,0 +1,57 @@
+// ownership.js - Owned / wanted / placeholder state of cells and the list of gifts still to buy
+// Cells carry { ownership, targetPrice }; cells saved before ownership existed have neither field.
+import { getCellPrice } from './valuation';
+
+// owned - in the collection; wanted - planned purchase; placeholder - just fills the layout
+export const OWNERSHIP_STATES = ['owned', 'wanted', 'placeholder'];
+
+/**
+ * Ownership of a cell. Older cells without the flag count as owned when they point at an exact NFT
+ * (added from a t.me/nft link), otherwise as placeholders.
+ */
+export function getCellOwnership(cell) {
+  if (!cell?.gift) return null;
+  if (OWNERSHIP_STATES.includes(cell.ownership)) return cell.ownership;
+  return cell.link ? 'owned' : 'placeholder';
+}
+
+/**
+ * Price typed by the user ("12,5" or "12.5") -> number, or null when empty / not a positive number
+ */
+export function parseTargetPrice(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : null;
+  const number = parseFloat(String(value ?? '').trim().replace(',', '.'));
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Wanted cells in reading order with the price each one is expected to cost
+ * @param {Object|null} prices - Price table, used for cells without a target price
+ * @returns {{items: Array, total: number, unpriced: number}}
+ * - items: [{ row, col, cell, price, priceSource: 'target'|'floor'|null, runningTotal }]
+ * - unpriced: wanted cells with neither a target nor a floor price (not in the total)
+ */
+export function getAcquisitionList(grid, prices) {
+  const items = [];
+  let total = 0;
+  let unpriced = 0;
+  grid.forEach((rowCells, row) => {
+    rowCells.forEach((cell, col) => {
+      if (getCellOwnership(cell) !== 'wanted') return;
+      const target = parseTargetPrice(cell.targetPrice);
+      const floor = target === null ? getCellPrice(cell, prices) : null;
+      const price = target ?? floor;
+      if (price === null) unpriced += 1;
+      else total += price;
+      items.push({
+        row,
+        col,
+        cell,
+        price,
+        priceSource: target !== null ? 'target' : floor !== null ? 'floor' : null,
+        runningTotal: total,
+      });
+    });
+  });
+  return { items, total, unpriced };
+}
@@ -0,0 +1,13 @@
+// serviceWorker.js - Register public/sw.js (persistent catalog/image cache, offline start)
+// Only in production builds: in dev the worker would cache Vite's module graph and break HMR.
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  // Register after load so the worker's own requests don't compete with the first render
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.warn('[serviceWorker] Registration failed:', error);
+    });
+  });
+}
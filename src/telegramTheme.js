@@ -0,0 +1,71 @@
+// telegramTheme.js - Follow Telegram.WebApp.themeParams (or the system color scheme outside Telegram)
+// Sets data-theme="light|dark" on <html> to pick the palette in App.css, then overrides
+// the palette variables with the colors Telegram provides.
+
+// App CSS variable -> themeParams keys to take it from, first present wins
+const THEME_VARIABLES = {
+  '--bg-color': ['bg_color'],
+  '--text-color': ['text_color'],
+  '--border-color': ['hint_color'],
+  '--empty-cell-color': ['hint_color'],
+  '--link-color': ['link_color'],
+  '--accent-color': ['button_color'],
+  '--button-hover': ['button_color'],
+  '--accent-text-color': ['button_text_color'],
+  '--cell-bg': ['secondary_bg_color'],
+  '--modal-bg': ['section_bg_color', 'secondary_bg_color'],
+};
+
+const getWebApp = () => window.Telegram?.WebApp ?? null;
+
+const darkSchemeQuery = () => window.matchMedia?.('(prefers-color-scheme: dark)') ?? null;
+
+function getColorScheme(webApp) {
+  if (webApp?.colorScheme === 'light' || webApp?.colorScheme === 'dark') return webApp.colorScheme;
+  return darkSchemeQuery()?.matches ? 'dark' : 'light';
+}
+
+/**
+ * Apply the current Telegram theme (or system scheme) to the document
+ */
+export function applyTheme() {
+  const webApp = getWebApp();
+  const root = document.documentElement;
+  const params = webApp?.themeParams ?? {};
+
+  root.dataset.theme = getColorScheme(webApp);
+  for (const [variable, keys] of Object.entries(THEME_VARIABLES)) {
+    const key = keys.find((k) => params[k]);
+    if (key) root.style.setProperty(variable, params[key]);
+    else root.style.removeProperty(variable);
+  }
+
+  // Header and WebView background follow the theme too (color keywords need Bot API 6.1)
+  if (webApp?.isVersionAtLeast?.('6.1')) {
+    webApp.setHeaderColor('bg_color');
+    webApp.setBackgroundColor('bg_color');
+  }
+
+  const themeColor = getComputedStyle(root).getPropertyValue('--bg-color').trim();
+  if (themeColor) {
+    document.querySelector('meta[name="theme-color"]')?.setAttribute('content', themeColor);
+  }
+}
+
+/**
+ * Apply the theme now and re-apply it on Telegram themeChanged / system scheme changes
+ * @returns {Function} Unsubscribe
+ */
+export function watchTheme() {
+  const webApp = getWebApp();
+  const media = darkSchemeQuery();
+
+  applyTheme();
+  webApp?.onEvent?.('themeChanged', applyTheme);
+  media?.addEventListener?.('change', applyTheme);
+
+  return () => {
+    webApp?.offEvent?.('themeChanged', applyTheme);
+    media?.removeEventListener?.('change', applyTheme);
+  };
+}
@@ -0,0 +1,19 @@
+// tgsWorker.js - Download and inflate .tgs (gzipped Lottie JSON) off the main thread
+// Message in: { id, url }. Message out: { id, data, size } or { id, error }.
+import pako from 'pako';
+
+const decoder = new TextDecoder();
+
+self.addEventListener('message', async (event) => {
+  const { id, url } = event.data;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const bytes = pako.inflate(new Uint8Array(await response.arrayBuffer()));
+    const data = JSON.parse(decoder.decode(bytes));
+    self.postMessage({ id, data, size: bytes.byteLength });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+});
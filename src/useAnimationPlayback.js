@@ -0,0 +1,163 @@
+// useAnimationPlayback.js - Scheduler behind "play all": bounded player count, same-frame start, real durations
+// Cells play in groups of at most MAX_ACTIVE_PLAYERS lottie players. A group's animations are loaded first
+// (MAX_PARALLEL_LOADS at a time), then its players mount paused and report in through playerRegistry;
+// once all of them are there, they start on the same animation frame and the group lasts as long as
+// its longest animation. The next group is loaded while the current one plays.
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import { loadAnimationData } from './animationStore';
+import { mapWithConcurrency } from './concurrency';
+
+// once - every cell plays once; loop - repeat until stopped; wave - row by row, top to bottom
+export const PLAYBACK_STYLES = ['once', 'loop', 'wave'];
+
+// Canvas players rendering at the same time; larger grids are played in several groups
+const MAX_ACTIVE_PLAYERS = 12;
+const MAX_PARALLEL_LOADS = 4;
+// A cell that never reports a player (PNG fallback, scrolled away) doesn't hold its group back longer
+const READY_TIMEOUT_MS = 5000;
+
+const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+function buildGroups(entries, style) {
+  if (style !== 'wave') return chunk(entries, MAX_ACTIVE_PLAYERS);
+  const rows = new Map();
+  entries.forEach((entry) => {
+    if (!rows.has(entry.row)) rows.set(entry.row, []);
+    rows.get(entry.row).push(entry);
+  });
+  return [...rows.keys()]
+    .sort((a, b) => a - b)
+    .flatMap((row) => chunk(rows.get(row), MAX_ACTIVE_PLAYERS));
+}
+
+// Entries whose animation loaded (failed ones keep showing their image)
+async function loadGroup(group) {
+  const loaded = await mapWithConcurrency(group, MAX_PARALLEL_LOADS, (entry) => (
+    loadAnimationData(entry.cacheKey, entry.url).then(() => true, () => false)
+  ));
+  return group.filter((_, index) => loaded[index]);
+}
+
+const groupDurationMs = (players) => Math.max(0, ...[...players.values()]
+  .filter(Boolean)
+  .map((player) => player.getDuration(false) * 1000));
+
+/**
+ * @returns {{
+ *   playingCells: Object<string, boolean>, isPlaying: boolean,
+ *   play: Function, stop: Function, playerRegistry: {register: Function, unregister: Function}
+ * }}
+ * - play(entries, style) - entries: [{ key: "row-col", row, cacheKey, url }] in reading order
+ * - playerRegistry is handed to TgsAnimation so cells report their paused players
+ */
+export function useAnimationPlayback() {
+  const [playingCells, setPlayingCells] = useState({});
+  const [isPlaying, setIsPlaying] = useState(false);
+  // Bumped on every play/stop - a run that sees a different id has been cancelled
+  const runIdRef = useRef(0);
+  // { expected: Set<key>, players: Map<key, animation|null>, started, onReady } of the group on screen
+  const groupRef = useRef(null);
+  // Resolvers of pending waits, so stop() ends them right away
+  const wakeupsRef = useRef(new Set());
+
+  const wait = useCallback((ms) => new Promise((resolve) => {
+    const wakeup = () => {
+      clearTimeout(timer);
+      wakeupsRef.current.delete(wakeup);
+      resolve();
+    };
+    const timer = setTimeout(wakeup, ms);
+    wakeupsRef.current.add(wakeup);
+  }), []);
+
+  const cancelRun = useCallback(() => {
+    runIdRef.current += 1;
+    groupRef.current = null;
+    [...wakeupsRef.current].forEach((wakeup) => wakeup());
+  }, []);
+
+  const stop = useCallback(() => {
+    cancelRun();
+    setPlayingCells({});
+    setIsPlaying(false);
+  }, [cancelRun]);
+
+  const play = useCallback(async (entries, style) => {
+    cancelRun();
+    const runId = runIdRef.current;
+    const isCancelled = () => runIdRef.current !== runId;
+
+    const groups = buildGroups(entries, style);
+    if (groups.length === 0) return;
+    setIsPlaying(true);
+
+    let loading = loadGroup(groups[0]);
+    let index = 0;
+    let group = null;
+    while (!isCancelled()) {
+      const playable = await loading;
+      if (isCancelled()) return;
+
+      const nextIndex = index + 1 < groups.length ? index + 1 : (style === 'loop' ? 0 : -1);
+      const sameGroupAgain = nextIndex === index;
+      const reuse = sameGroupAgain && group?.started;
+
+      if (playable.length > 0) {
+        if (!reuse) {
+          let onReady;
+          const ready = new Promise((resolve) => { onReady = resolve; });
+          group = { expected: new Set(playable.map((entry) => entry.key)), players: new Map(), started: false, onReady };
+          groupRef.current = group;
+          setPlayingCells(Object.fromEntries(playable.map((entry) => [entry.key, true])));
+          await Promise.race([ready, wait(READY_TIMEOUT_MS)]);
+        }
+        if (isCancelled()) return;
+
+        // Load the next group while this one plays
+        if (nextIndex >= 0 && !sameGroupAgain) loading = loadGroup(groups[nextIndex]);
+
+        await nextFrame();
+        if (isCancelled()) return;
+        group.started = true;
+        group.players.forEach((player) => player?.goToAndPlay(0, true));
+        const duration = groupDurationMs(group.players);
+        await wait(duration);
+        // Looping a group where no cell got a player would just spin
+        if (sameGroupAgain && duration === 0) break;
+      } else if (nextIndex >= 0 && !sameGroupAgain) {
+        loading = loadGroup(groups[nextIndex]);
+      }
+
+      if (nextIndex < 0 || (sameGroupAgain && playable.length === 0)) break;
+      index = nextIndex;
+    }
+
+    if (!isCancelled()) stop();
+  }, [cancelRun, stop, wait]);
+
+  const playerRegistry = useMemo(() => ({
+    register(key, player) {
+      const group = groupRef.current;
+      if (!group?.expected.has(key)) return;
+      group.players.set(key, player);
+      // Late players (slow decode, remount) join the running group from the start of their animation
+      if (group.started) player?.goToAndPlay(0, true);
+      else if (group.players.size >= group.expected.size) group.onReady();
+    },
+    unregister(key, player) {
+      const group = groupRef.current;
+      if (group?.players.get(key) === player) group.players.delete(key);
+    },
+  }), []);
+
+  // Nothing keeps running after the planner unmounts
+  useEffect(() => cancelRun, [cancelRun]);
+
+  return { playingCells, isPlaying, play, stop, playerRegistry };
+}
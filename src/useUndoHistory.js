@@ -0,0 +1,53 @@
+// useUndoHistory.js - Bounded undo/redo stacks of grid snapshots
+import { useState, useCallback } from 'react';
+
+const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * Keeps past/future snapshots; the caller owns the current state.
+ * - record(current) before applying a change
+ * - undo(current) / redo(current) return the snapshot to apply, or null
+ */
+export function useUndoHistory(limit = DEFAULT_HISTORY_LIMIT) {
+  const [history, setHistory] = useState({ past: [], future: [] });
+
+  const record = useCallback((snapshot) => {
+    setHistory((prev) => ({
+      past: [...prev.past, snapshot].slice(-limit),
+      future: [],
+    }));
+  }, [limit]);
+
+  const undo = useCallback((current) => {
+    if (history.past.length === 0) return null;
+    const previous = history.past[history.past.length - 1];
+    setHistory({
+      past: history.past.slice(0, -1),
+      future: [current, ...history.future].slice(0, limit),
+    });
+    return previous;
+  }, [history, limit]);
+
+  const redo = useCallback((current) => {
+    if (history.future.length === 0) return null;
+    const [next, ...rest] = history.future;
+    setHistory({
+      past: [...history.past, current].slice(-limit),
+      future: rest,
+    });
+    return next;
+  }, [history, limit]);
+
+  const clear = useCallback(() => {
+    setHistory({ past: [], future: [] });
+  }, []);
+
+  return {
+    record,
+    undo,
+    redo,
+    clear,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+}
@@ -0,0 +1,89 @@
+// valuation.js - Floor price estimates for cells, grids and layouts
+// Prices come from a price source: { id, load() } where load() resolves to a price table
+//   { currency: "TON", updatedAt?: "YYYY-MM-DD", gifts: { "<normalizeGiftName(gift)>": { floor, models: { "<Model>": price } } } }
+// The default source reads public/prices.json; a marketplace API only needs to return the same shape.
+import { normalizeGiftName } from './giftNames';
+
+export const DEFAULT_PRICE_TABLE_URL = '/prices.json';
+export const DEFAULT_CURRENCY = 'TON';
+
+/**
+ * Price source backed by a static JSON price table
+ * @param {string} url
+ */
+export function createJsonPriceSource(url = DEFAULT_PRICE_TABLE_URL) {
+  return {
+    id: `json:${url}`,
+    async load() {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return normalizePriceTable(await response.json());
+    },
+  };
+}
+
+export const defaultPriceSource = createJsonPriceSource();
+
+const isPrice = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validate a loaded table and re-key its gifts with normalizeGiftName (tables may use display names)
+ */
+export function normalizePriceTable(table) {
+  if (!table || typeof table !== 'object' || !table.gifts || typeof table.gifts !== 'object') {
+    throw new Error('Invalid price table');
+  }
+  const gifts = {};
+  for (const [name, entry] of Object.entries(table.gifts)) {
+    if (!entry || typeof entry !== 'object') continue;
+    const models = {};
+    for (const [model, price] of Object.entries(entry.models || {})) {
+      if (isPrice(price)) models[model.toLowerCase()] = price;
+    }
+    gifts[normalizeGiftName(name)] = { floor: isPrice(entry.floor) ? entry.floor : null, models };
+  }
+  return {
+    currency: typeof table.currency === 'string' ? table.currency : DEFAULT_CURRENCY,
+    updatedAt: typeof table.updatedAt === 'string' ? table.updatedAt : null,
+    gifts,
+  };
+}
+
+/**
+ * Estimated floor price of a cell: the model's floor when known, otherwise the gift's floor
+ * @returns {number|null} null for empty cells and gifts missing from the table
+ */
+export function getCellPrice(cell, prices) {
+  if (!cell?.gift || !prices) return null;
+  const entry = prices.gifts[normalizeGiftName(cell.gift)];
+  if (!entry) return null;
+  const modelPrice = cell.model ? entry.models[cell.model.toLowerCase()] : undefined;
+  return modelPrice ?? entry.floor;
+}
+
+/**
+ * Sum of cell prices in a grid
+ * @returns {{total: number, priced: number, unpriced: number}} unpriced - gifts without a known price
+ */
+export function getGridValue(grid, prices) {
+  const result = { total: 0, priced: 0, unpriced: 0 };
+  grid.flat().forEach((cell) => {
+    if (!cell?.gift) return;
+    const price = getCellPrice(cell, prices);
+    if (price === null) {
+      result.unpriced += 1;
+    } else {
+      result.total += price;
+      result.priced += 1;
+    }
+  });
+  return result;
+}
+
+/**
+ * "12.5 TON" with up to two decimals in the UI language
+ */
+export function formatPrice(value, currency, language) {
+  const amount = value.toLocaleString(language, { maximumFractionDigits: value >= 100 ? 0 : 2 });
+  return currency ? `${amount} ${currency}` : amount;
+}
@@ -0,0 +1,57 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cloudGetItem, cloudRemoveItem, cloudSetItem } from '../src/cloudStorage.js';
+
+// In-memory stand-in for Telegram.WebApp.CloudStorage (callback API)
+function createFakeCloudStorage() {
+  const items = new Map();
+  return {
+    items,
+    setItem: (key, value, callback) => {
+      items.set(key, value);
+      callback(null, true);
+    },
+    getItem: (key, callback) => callback(null, items.get(key) ?? ''),
+    getItems: (keys, callback) => callback(null, Object.fromEntries(keys.map((key) => [key, items.get(key) ?? '']))),
+    removeItems: (keys, callback) => {
+      keys.forEach((key) => items.delete(key));
+      callback(null, true);
+    },
+  };
+}
+
+describe('cloudStorage', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createFakeCloudStorage();
+    vi.stubGlobal('window', { Telegram: { WebApp: { CloudStorage: storage } } });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('splits long values into chunks and reads them back', async () => {
+    const value = 'x'.repeat(8000);
+    await cloudSetItem('plan', value);
+    expect(JSON.parse(storage.items.get('plan'))).toEqual({ chunks: 3 });
+    expect(await cloudGetItem('plan')).toBe(value);
+  });
+
+  it('removes chunks left over from a longer previous value', async () => {
+    await cloudSetItem('plan', 'x'.repeat(8000));
+    await cloudSetItem('plan', 'y'.repeat(5000));
+    expect([...storage.items.keys()].sort()).toEqual(['plan', 'plan__0', 'plan__1']);
+    expect(await cloudGetItem('plan')).toBe('y'.repeat(5000));
+
+    await cloudSetItem('plan', 'short');
+    expect([...storage.items.keys()]).toEqual(['plan']);
+    expect(await cloudGetItem('plan')).toBe('short');
+  });
+
+  it('removes a chunked value with all its chunks', async () => {
+    await cloudSetItem('plan', 'x'.repeat(8000));
+    await cloudRemoveItem('plan');
+    expect(storage.items.size).toBe(0);
+  });
+});
@@ -0,0 +1,110 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { loadAnimationData } from '../src/animationStore.js';
+import { renderElementToCanvas } from '../src/exportImage.js';
+import { renderGridAnimation } from '../src/exportAnimation.js';
+
+vi.mock('../src/animationStore.js', () => ({ loadAnimationData: vi.fn() }));
+
+// Smallest still WebP the frame extractor accepts: RIFF header + one VP8L chunk
+const STILL_WEBP = new Uint8Array([
+  ...'RIFF'.split('').map((char) => char.charCodeAt(0)), 16, 0, 0, 0,
+  ...'WEBP'.split('').map((char) => char.charCodeAt(0)),
+  ...'VP8L'.split('').map((char) => char.charCodeAt(0)), 2, 0, 0, 0, 0x2f, 0,
+]);
+
+vi.mock('../src/exportImage.js', () => ({
+  renderElementToCanvas: vi.fn(async () => ({ width: 100, height: 50 })),
+  canvasToBlob: vi.fn(async () => new Blob([STILL_WEBP], { type: 'image/webp' })),
+}));
+
+const fakeRect = (left, top, width, height) => ({ left, top, width, height });
+
+// Grid of cells with a gift layer each - just enough of the DOM for the exporter
+function createGrid(cellCount) {
+  const cells = Array.from({ length: cellCount }, (_, index) => {
+    const gift = { style: {}, getBoundingClientRect: () => fakeRect(index * 50 + 5, 5, 40, 40) };
+    return {
+      gift,
+      style: {},
+      getBoundingClientRect: () => fakeRect(index * 50, 0, 50, 50),
+      querySelector: () => gift,
+      querySelectorAll: (selector) => (selector === '[data-export-layer="gift"]' ? [gift] : []),
+    };
+  });
+  return {
+    cells,
+    offsetWidth: cellCount * 50,
+    getBoundingClientRect: () => fakeRect(0, 0, cellCount * 50, 50),
+    querySelectorAll: (selector) => (selector === '.cell' ? cells : []),
+  };
+}
+
+const fakeCanvas = () => ({
+  width: 0,
+  height: 0,
+  getContext: () => ({ clearRect() {}, drawImage() {} }),
+});
+
+const fakeLottie = {
+  loadAnimation: vi.fn(() => ({
+    frameRate: 30,
+    totalFrames: 30,
+    getDuration: () => 1,
+    goToAndStop() {},
+    destroy: vi.fn(),
+  })),
+};
+
+describe('renderGridAnimation', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+  });
+
+  it('keeps the still gift image of cells whose animation fails to load', async () => {
+    vi.stubGlobal('document', { createElement: fakeCanvas });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    loadAnimationData.mockImplementation(async (cacheKey) => {
+      if (cacheKey === 'broken') throw new Error('HTTP 404');
+      return { fr: 30, op: 30 };
+    });
+
+    const grid = createGrid(2);
+    const blob = await renderGridAnimation(grid, {
+      cells: [
+        { index: 0, cacheKey: 'working', url: '/working.tgs' },
+        { index: 1, cacheKey: 'broken', url: '/broken.tgs' },
+      ],
+      lottie: fakeLottie,
+      format: 'webp',
+      width: 100,
+      fps: 12,
+    });
+
+    expect(blob.type).toBe('image/webp');
+    expect(fakeLottie.loadAnimation).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledTimes(1);
+
+    // The base layer is captured once the animations are known: only the playing cell loses its image
+    const clone = createGrid(2);
+    const [, { prepareClone }] = renderElementToCanvas.mock.calls[0];
+    prepareClone(clone);
+    expect(clone.cells[0].gift.style.visibility).toBe('hidden');
+    expect(clone.cells[1].gift.style.visibility).toBeUndefined();
+  });
+
+  it('fails without capturing anything when no animation loads', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    loadAnimationData.mockRejectedValue(new Error('offline'));
+
+    await expect(renderGridAnimation(createGrid(1), {
+      cells: [{ index: 0, cacheKey: 'broken', url: '/broken.tgs' }],
+      lottie: fakeLottie,
+      format: 'webp',
+      width: 50,
+      fps: 12,
+    })).rejects.toThrow('No animation could be loaded');
+    expect(renderElementToCanvas).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import {
+  API_BASE,
+  CDN_BASE,
+  getGiftIdForAnimation,
+  getGiftImageUrl,
+  getPatternImageUrl,
+} from '../src/giftAssets.js';
+
+describe('getGiftImageUrl', () => {
+  it('uses the model endpoint when a model is set', () => {
+    expect(getGiftImageUrl('Plush Pepe', 'Cozy Galaxy', {})).toBe(`${API_BASE}/model/plush-pepe/Cozy Galaxy.png?size=128`);
+    expect(getGiftImageUrl('Plush Pepe', 'Cozy Galaxy', {}, 64)).toBe(`${API_BASE}/model/plush-pepe/Cozy Galaxy.png?size=64`);
+  });
+
+  it('falls back to the original image by gift id', () => {
+    expect(getGiftImageUrl('Santa Hat', '', { 'Santa Hat': '101' })).toBe(`${CDN_BASE}/gifts/originals/101/Original.png?size=128`);
+    expect(getGiftImageUrl('Santa Hat', '  ', { 'Santa Hat': '101' })).toBe(`${CDN_BASE}/gifts/originals/101/Original.png?size=128`);
+  });
+
+  it('finds the gift id under any key variant of the name', () => {
+    const url = (giftIds) => getGiftImageUrl('Santa Hat', null, giftIds);
+    expect(url({ 'santa hat': '1' })).toContain('/originals/1/');
+    expect(url({ 'santa-hat': '2' })).toContain('/originals/2/');
+    expect(url({ santahat: '3' })).toContain('/originals/3/');
+    expect(url({ SantaHat: '4' })).toContain('/originals/4/');
+    expect(url({ santa_hat: '5' })).toContain('/originals/5/');
+  });
+
+  it('returns null without a gift or a known id', () => {
+    expect(getGiftImageUrl('', null, {})).toBeNull();
+    expect(getGiftImageUrl('Santa Hat', null, { 'Plush Pepe': '1' })).toBeNull();
+  });
+});
+
+describe('getPatternImageUrl', () => {
+  it('builds the pattern endpoint from the normalized gift name', () => {
+    expect(getPatternImageUrl('Plush Pepe', 'Crystal Ball')).toBe(`${API_BASE}/pattern/plush-pepe/Crystal Ball.png?size=128`);
+  });
+});
+
+describe('getGiftIdForAnimation', () => {
+  it('looks the id up by name variants', () => {
+    expect(getGiftIdForAnimation('Santa Hat', { santahat: '7' })).toBe('7');
+    expect(getGiftIdForAnimation('Santa Hat', {})).toBeNull();
+    expect(getGiftIdForAnimation('', { '': '1' })).toBeNull();
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { normalizeGiftName, aggressiveNormalize } from '../src/giftNames.js';
+
+describe('normalizeGiftName', () => {
+  it('lowercases and dashes spaces like the API paths', () => {
+    expect(normalizeGiftName('Plush Pepe')).toBe('plush-pepe');
+    expect(normalizeGiftName('Jack-in-the-Box')).toBe('jack-in-the-box');
+  });
+
+  it('keeps punctuation', () => {
+    expect(normalizeGiftName("Durov's Cap")).toBe("durov's-cap");
+  });
+});
+
+describe('aggressiveNormalize', () => {
+  it('drops everything but latin letters and digits', () => {
+    expect(aggressiveNormalize("Durov's Cap")).toBe('durovscap');
+    expect(aggressiveNormalize('santa-hat')).toBe('santahat');
+    expect(aggressiveNormalize('Santa Hat')).toBe('santahat');
+    expect(aggressiveNormalize('B-Day Candle 2')).toBe('bdaycandle2');
+  });
+
+  it('returns an empty string for non-latin text', () => {
+    expect(aggressiveNormalize('Пепе')).toBe('');
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { ARRANGE_STRATEGIES, arrangeGrid } from '../src/gridArrange.js';
+
+const gift = (name, extra = {}) => ({ gift: name, ...extra });
+
+describe('arrangeGrid', () => {
+  it('sorts gift cells and pushes empty cells to the end', () => {
+    const grid = [
+      [null, gift('Toy Bear'), null],
+      [gift('Lol Pop'), null, gift('Plush Pepe')],
+    ];
+    expect(arrangeGrid(grid, 'gift')).toEqual([
+      [gift('Lol Pop'), gift('Plush Pepe'), gift('Toy Bear')],
+      [null, null, null],
+    ]);
+  });
+
+  it('keeps cells without a gift after the arranged gifts, in their original order', () => {
+    const label = { gift: '', text: 'Wishlist' };
+    const placeholder = { gift: '', text: '', ownership: 'placeholder' };
+    const grid = [
+      [label, gift('Toy Bear', { backdrop: { name: 'Onyx Black' } })],
+      [null, placeholder],
+      [gift('Lol Pop', { backdrop: { name: 'Black' } }), null],
+    ];
+
+    ARRANGE_STRATEGIES.forEach((strategy) => {
+      const arranged = arrangeGrid(grid, strategy, { backdrops: ['Onyx Black', 'Black'] });
+      const cells = arranged.flat();
+      expect(arranged).toHaveLength(3);
+      expect(cells.filter(Boolean)).toHaveLength(4);
+      expect(cells.slice(2, 4)).toEqual([label, placeholder]);
+    });
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { createEmptyGrid, reflowGrid, trimTrailingEmptyRows } from '../src/gridModel.js';
+
+const filledGrid = (rows, columns) => Array.from({ length: rows }, (_, row) => (
+  Array.from({ length: columns }, (_, col) => ({ gift: `Gift ${row * columns + col}` }))
+));
+
+describe('trimTrailingEmptyRows', () => {
+  it('drops empty rows at the end only', () => {
+    const gift = { gift: 'Toy Bear' };
+    const grid = [[gift, null], [null, null], [null, gift], [null, null], [null, null]];
+    expect(trimTrailingEmptyRows(grid)).toEqual(grid.slice(0, 3));
+  });
+
+  it('keeps at least minRows rows', () => {
+    expect(trimTrailingEmptyRows(createEmptyGrid(4, 3), 3)).toEqual(createEmptyGrid(3, 3));
+    expect(trimTrailingEmptyRows(createEmptyGrid(2, 3), 3)).toEqual(createEmptyGrid(2, 3));
+  });
+
+  it('stops a column round trip from growing the grid', () => {
+    const grid = filledGrid(3, 3);
+    const wide = trimTrailingEmptyRows(reflowGrid(grid, 5), 3);
+    const back = trimTrailingEmptyRows(reflowGrid(wide, 3), 3);
+    expect(back).toEqual(grid);
+  });
+});
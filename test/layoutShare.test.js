@@ -0,0 +1,88 @@
+import pako from 'pako';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { decodeLayoutToken, encodeLayoutToken } from '../src/layoutShare.js';
+
+// Token in the encodeLayoutToken format with arbitrary compact contents
+function craftToken(compact) {
+  const bytes = pako.deflateRaw(JSON.stringify(compact));
+  const binary = String.fromCharCode(...bytes);
+  return '1' + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+const PLUSH_PEPE = {
+  gift: 'Plush Pepe',
+  model: 'Cozy Galaxy',
+  backdrop: { name: 'Onyx Black' },
+  pattern: 'Crystal Ball',
+  totalIssued: 2850,
+  text: 'Grail',
+  modelRarity: 0.5,
+  backdropRarity: 1.2,
+  patternRarity: 0.3,
+  link: 'https://t.me/nft/PlushPepe-1821',
+  ownership: 'wanted',
+  targetPrice: 6500,
+};
+
+describe('decodeLayoutToken', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('reads back an encoded layout', async () => {
+    const grid = [[PLUSH_PEPE, null], [null, { gift: 'Toy Bear' }]];
+    const token = await encodeLayoutToken({ name: 'Pepes', animationMode: true, grid });
+    const decoded = await decodeLayoutToken(token);
+
+    expect(decoded).toMatchObject({ name: 'Pepes', rows: 2, animationMode: true });
+    expect(decoded.grid[0][0]).toEqual({ ...PLUSH_PEPE, giftNumber: 1821 });
+    expect(decoded.grid[0][1]).toBeNull();
+    expect(decoded.grid[1][1]).toMatchObject({ gift: 'Toy Bear', model: '', text: '', link: '' });
+  });
+
+  it('rejects widths outside the supported column range', async () => {
+    expect(await decodeLayoutToken(craftToken({ n: '', a: 0, w: 1, c: [0, 0] }))).toBeNull();
+    expect(await decodeLayoutToken(craftToken({ n: '', a: 0, w: 9, c: Array(9).fill(0) }))).toBeNull();
+    expect(await decodeLayoutToken(craftToken({ n: '', a: 0, w: '3', c: [0, 0, 0] }))).toBeNull();
+    expect(await decodeLayoutToken(craftToken({ n: '', a: 0, c: [0, 0, 0] }))).toBeNull();
+  });
+
+  it('rejects cell lists that are empty, ragged or hold unknown entries', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(await decodeLayoutToken(craftToken({ w: 3, c: [] }))).toBeNull();
+    expect(await decodeLayoutToken(craftToken({ w: 3, c: [0, 0, 0, 0] }))).toBeNull();
+    expect(await decodeLayoutToken(craftToken({ w: 2, c: [{ gift: 'Plush Pepe' }, 0] }))).toBeNull();
+    expect(await decodeLayoutToken(craftToken({ w: 2, c: [[42], 0] }))).toBeNull();
+    expect(await decodeLayoutToken(craftToken({ w: 2, c: [1, 0] }))).toBeNull();
+  });
+
+  it('coerces cell fields of the wrong type', async () => {
+    const decoded = await decodeLayoutToken(craftToken({
+      w: 2,
+      c: [['Plush Pepe', { x: 1 }, ['Onyx'], 7, 'many', { text: 1 }, '0.5', null, -1, 12, 'x', 'free'], 0],
+    }));
+    expect(decoded.grid[0][0]).toEqual({
+      gift: 'Plush Pepe',
+      model: '',
+      backdrop: null,
+      pattern: '',
+      totalIssued: null,
+      text: '',
+      modelRarity: null,
+      backdropRarity: null,
+      patternRarity: null,
+      giftNumber: null,
+      link: '',
+      ownership: null,
+      targetPrice: null,
+    });
+  });
+
+  it('returns null for text that is not a token', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(await decodeLayoutToken('')).toBeNull();
+    expect(await decodeLayoutToken('2abc')).toBeNull();
+    expect(await decodeLayoutToken('1not-deflate-data')).toBeNull();
+    expect(await decodeLayoutToken(craftToken(null))).toBeNull();
+  });
+});
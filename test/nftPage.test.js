@@ -0,0 +1,157 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import {
+  NFT_ID_PATTERN,
+  parseLink,
+  parseNftPageContent,
+  parseNftTitle,
+  slugToGiftName,
+} from '../src/nftPage.js';
+
+const readFixture = (name) => readFileSync(new URL(`./fixtures/nft-pages/${name}`, import.meta.url), 'utf8');
+
+// Attributes every fixture of an upgraded gift must yield
+const COZY_GALAXY = {
+  model: 'Cozy Galaxy',
+  modelRarity: 0.5,
+  backdrop: 'Onyx Black',
+  backdropRarity: 1.2,
+  pattern: 'Crystal Ball',
+  patternRarity: 0.3,
+  issued: 2814,
+  totalIssued: 2850,
+};
+
+describe('slugToGiftName', () => {
+  it('splits CamelCase and dashed slugs into capitalized words', () => {
+    expect(slugToGiftName('PlushPepe')).toBe('Plush Pepe');
+    expect(slugToGiftName('InstantRamen')).toBe('Instant Ramen');
+    expect(slugToGiftName('magic-potion')).toBe('Magic Potion');
+  });
+});
+
+describe('parseLink', () => {
+  it('parses full and short t.me/nft links', () => {
+    expect(parseLink('https://t.me/nft/PlushPepe-1821')).toEqual({ name: 'Plush Pepe', giftNumber: '1821', slug: 'PlushPepe' });
+    expect(parseLink('t.me/nft/ToyBear-5')).toEqual({ name: 'Toy Bear', giftNumber: '5', slug: 'ToyBear' });
+  });
+
+  it('ignores a query string and surrounding text', () => {
+    expect(parseLink('look: https://t.me/nft/LolPop-77215?start=1')).toEqual({
+      name: 'Lol Pop',
+      giftNumber: '77215',
+      slug: 'LolPop',
+    });
+  });
+
+  it('keeps dashes of the slug and splits at the serial number', () => {
+    expect(parseLink('t.me/nft/magic-potion-12')).toEqual({ name: 'Magic Potion', giftNumber: '12', slug: 'magic-potion' });
+  });
+
+  it('returns null for other links', () => {
+    expect(parseLink('https://t.me/durov')).toBeNull();
+    expect(parseLink('t.me/nft/PlushPepe')).toBeNull();
+    expect(parseLink('')).toBeNull();
+  });
+});
+
+describe('NFT_ID_PATTERN', () => {
+  it('accepts the same slugs as parseLink', () => {
+    expect('PlushPepe-1821'.match(NFT_ID_PATTERN).slice(1)).toEqual(['PlushPepe', '1821']);
+    expect('magic-potion-12'.match(NFT_ID_PATTERN).slice(1)).toEqual(['magic-potion', '12']);
+  });
+
+  it('rejects ids without a serial number or with other characters', () => {
+    expect(NFT_ID_PATTERN.test('PlushPepe')).toBe(false);
+    expect(NFT_ID_PATTERN.test('Plush Pepe-1')).toBe(false);
+    expect(NFT_ID_PATTERN.test('../PlushPepe-1')).toBe(false);
+    expect(NFT_ID_PATTERN.test('-1')).toBe(false);
+  });
+});
+
+describe('parseNftPageContent', () => {
+  it('reads the gift table of a t.me/nft page', () => {
+    expect(parseNftPageContent(readFixture('html-table.html'))).toEqual({ ...COZY_GALAXY, owner: 'Some & Body' });
+  });
+
+  it('reads a markdown table (reader proxies)', () => {
+    expect(parseNftPageContent(readFixture('markdown-table.md'))).toMatchObject(COZY_GALAXY);
+  });
+
+  it('reads "Model: X 0.5%" text lines', () => {
+    expect(parseNftPageContent(readFixture('text-lines.txt'))).toEqual({
+      model: 'Diamonds',
+      modelRarity: 0.5,
+      backdrop: 'Black',
+      backdropRarity: 2,
+      pattern: 'Paper Airplane',
+      patternRarity: 0.4,
+      issued: 24001,
+      totalIssued: 25000,
+      owner: 'Pavel',
+    });
+  });
+
+  it('reads the og:description meta tag', () => {
+    expect(parseNftPageContent(readFixture('og-description.html'))).toMatchObject({
+      model: 'Wizard',
+      modelRarity: 1.5,
+      backdrop: 'Emerald',
+      backdropRarity: 2,
+      pattern: 'Magic Wand',
+      patternRarity: 0.8,
+      issued: 98112,
+      totalIssued: 110000,
+    });
+  });
+
+  it('reads the data-webview-text attribute', () => {
+    expect(parseNftPageContent(readFixture('webview-text.html'))).toMatchObject({
+      model: 'Candy Stripe',
+      modelRarity: 2.5,
+      backdrop: 'Pure Gold',
+      backdropRarity: 0.9,
+      pattern: 'Heart',
+      patternRarity: 1.1,
+      issued: 301450,
+      totalIssued: 412000,
+    });
+  });
+
+  it('finds nothing on a page without an upgraded gift', () => {
+    expect(parseNftPageContent(readFixture('no-upgrades.html'))).toEqual({
+      model: '',
+      modelRarity: null,
+      backdrop: '',
+      backdropRarity: null,
+      pattern: '',
+      patternRarity: null,
+      issued: null,
+      totalIssued: null,
+      owner: '',
+    });
+  });
+
+  it('keeps attributes without a rarity', () => {
+    expect(parseNftPageContent('Model: Diamonds\nBackdrop: Black')).toMatchObject({
+      model: 'Diamonds',
+      modelRarity: null,
+      backdrop: 'Black',
+      backdropRarity: null,
+    });
+  });
+
+  it('accepts comma thousands separators in the quantity', () => {
+    expect(parseNftPageContent('Quantity: 367,993/457,382 issued')).toMatchObject({ issued: 367993, totalIssued: 457382 });
+  });
+});
+
+describe('parseNftTitle', () => {
+  it('reads gift and serial from og:title', () => {
+    expect(parseNftTitle(readFixture('html-table.html'))).toEqual({ gift: 'Plush Pepe', number: 1821 });
+  });
+
+  it('returns null when the title is not an NFT', () => {
+    expect(parseNftTitle(readFixture('no-upgrades.html'))).toBeNull();
+  });
+});
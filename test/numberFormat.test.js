@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest';
+import { formatNumber } from '../src/numberFormat.js';
+
+describe('formatNumber', () => {
+  it('keeps numbers below a thousand as they are', () => {
+    expect(formatNumber(0)).toBe('0');
+    expect(formatNumber(999)).toBe('999');
+  });
+
+  it('shortens thousands to K with one decimal', () => {
+    expect(formatNumber(1000)).toBe('1K');
+    expect(formatNumber(1500)).toBe('1.5K');
+    expect(formatNumber(2850)).toBe('2.9K');
+    expect(formatNumber(457382)).toBe('457.4K');
+  });
+
+  it('shortens millions to M', () => {
+    expect(formatNumber(1000000)).toBe('1M');
+    expect(formatNumber(2540000)).toBe('2.5M');
+  });
+});
@@ -0,0 +1,99 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import {
+  PROFILE_PATH_PATTERN,
+  needsDetails,
+  normalizeProfileUrl,
+  parseOwnedGiftsJson,
+  parseProfilePage,
+} from '../src/ownedGifts.js';
+
+const readFixture = (name) => readFileSync(new URL(`./fixtures/owned-gifts/${name}`, import.meta.url), 'utf8');
+
+describe('normalizeProfileUrl', () => {
+  it('accepts mentions, profile and channel links', () => {
+    expect(normalizeProfileUrl('@giftcollector')).toBe('https://t.me/giftcollector');
+    expect(normalizeProfileUrl(' t.me/giftcollector/ ')).toBe('https://t.me/giftcollector');
+    expect(normalizeProfileUrl('https://t.me/s/giftcollector')).toBe('https://t.me/s/giftcollector');
+  });
+
+  it('rejects other hosts, paths and too short names', () => {
+    expect(normalizeProfileUrl('https://t.me.example.com/giftcollector')).toBeNull();
+    expect(normalizeProfileUrl('https://t.me/nft/PlushPepe-1')).toBeNull();
+    expect(normalizeProfileUrl('https://t.me/giftcollector/12')).toBeNull();
+    expect(normalizeProfileUrl('@abc')).toBeNull();
+    expect(normalizeProfileUrl('@abcd')).toBeNull();
+    expect(normalizeProfileUrl('t.me/abcd')).toBeNull();
+    expect(normalizeProfileUrl('@abcde')).toBe('https://t.me/abcde');
+    expect(normalizeProfileUrl('[{"gift": "Plush Pepe"}]')).toBeNull();
+  });
+
+  it('shares the path rule with the proxy', () => {
+    expect(PROFILE_PATH_PATTERN.test('/giftcollector')).toBe(true);
+    expect(PROFILE_PATH_PATTERN.test('/s/giftcollector')).toBe(true);
+    expect(PROFILE_PATH_PATTERN.test('/abcd')).toBe(false);
+    expect(PROFILE_PATH_PATTERN.test('/joinchat/abc')).toBe(false);
+    expect(PROFILE_PATH_PATTERN.test('/+abcdef')).toBe(false);
+  });
+});
+
+describe('parseOwnedGiftsJson', () => {
+  it('reads a Bot API owned gifts result and skips regular gifts', () => {
+    const { entries, skipped } = parseOwnedGiftsJson(readFixture('bot-api-owned-gifts.json'));
+    expect(skipped).toBe(1);
+    expect(entries).toEqual([
+      {
+        gift: 'Plush Pepe',
+        number: 1821,
+        link: 'https://t.me/nft/PlushPepe-1821',
+        model: 'Cozy Galaxy',
+        modelRarity: 0.5,
+        backdrop: 'Onyx Black',
+        backdropRarity: 1.2,
+        pattern: 'Crystal Ball',
+        patternRarity: 0.3,
+        totalIssued: null,
+      },
+      expect.objectContaining({ gift: 'Toy Bear', number: 40512, model: 'Wizard', pattern: 'Magic Wand' }),
+    ]);
+  });
+
+  it('reads flat objects and links, dropping duplicates', () => {
+    const { entries, skipped } = parseOwnedGiftsJson(readFixture('flat-list.json'));
+    expect(skipped).toBe(1);
+    expect(entries.map((entry) => [entry.gift, entry.number, entry.link])).toEqual([
+      ['Lol Pop', 77215, 'https://t.me/nft/LolPop-77215'],
+      ['Swiss Watch', null, ''],
+      ['Desk Calendar', 9, 'https://t.me/nft/DeskCalendar-9'],
+    ]);
+    expect(entries[1]).toMatchObject({ model: 'Lux', backdrop: 'Onyx Black', pattern: 'Gear', totalIssued: 5000 });
+    expect(entries.map(needsDetails)).toEqual([true, false, false]);
+  });
+
+  it('throws on text that is not a JSON list of gifts', () => {
+    expect(() => parseOwnedGiftsJson('@giftcollector')).toThrow();
+    expect(() => parseOwnedGiftsJson('{"ok": true}')).toThrow('No gifts list in JSON');
+  });
+});
+
+describe('parseProfilePage', () => {
+  it('collects each t.me/nft link of a channel page once, in page order', () => {
+    const { entries } = parseProfilePage(readFixture('channel-page.html'));
+    expect(entries.map((entry) => entry.link)).toEqual([
+      'https://t.me/nft/PlushPepe-1821',
+      'https://t.me/nft/ToyBear-40512',
+      'https://t.me/nft/LolPop-77215',
+    ]);
+    expect(entries[0]).toMatchObject({ gift: 'Plush Pepe', number: 1821, model: '' });
+    expect(entries.every(needsDetails)).toBe(true);
+  });
+
+  it('keeps dashed slugs whole', () => {
+    const { entries } = parseProfilePage('<a href="https://t.me/nft/magic-potion-12">Magic Potion</a>');
+    expect(entries).toMatchObject([{ gift: 'Magic Potion', number: 12, link: 'https://t.me/nft/magic-potion-12' }]);
+  });
+
+  it('finds nothing on a page without gift links', () => {
+    expect(parseProfilePage('<html><body>No gifts here</body></html>').entries).toEqual([]);
+  });
+});